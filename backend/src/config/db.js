@@ -1,6 +1,9 @@
 import mongoose from "mongoose";
 import { ENV } from "./env.js";
 
+// queries inside connection.transaction() join its session automatically
+mongoose.set("transactionAsyncLocalStorage", true);
+
 export const connectDB = async () => {
   try {
     await mongoose.connect(ENV.MONGO_URI);
@@ -7,8 +7,15 @@ export const ENV = {
   MONGO_URI: process.env.MANGO_URI,
   CLERK_PUBLISHABLE_KEY: process.env.CLERK_PUBLISHABLE_KEY,
   CLERK_SECRET_KEY: process.env.CLERK_SECRET_KEY,
+  CLERK_WEBHOOK_SIGNING_SECRET: process.env.CLERK_WEBHOOK_SIGNING_SECRET,
   CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
   CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
   CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
   ARCJET_KEY: process.env.ARCJET_KEY,
+  EXPO_ACCESS_TOKEN: process.env.EXPO_ACCESS_TOKEN,
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER,
+  LOCAL_UPLOAD_DIR: process.env.LOCAL_UPLOAD_DIR,
+  PUBLIC_URL: process.env.PUBLIC_URL,
+  PUBSUB_DRIVER: process.env.PUBSUB_DRIVER,
+  CRON_SECRET: process.env.CRON_SECRET,
 };
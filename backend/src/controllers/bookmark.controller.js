@@ -0,0 +1,100 @@
+import asyncHandler from "express-async-handler";
+import { getAuth } from "@clerk/express";
+import Bookmark from "../models/bookmark.model.js";
+import Post from "../models/post.model.js";
+import User from "../models/user.model.js";
+import { getPageParams, paginate } from "../lib/pagination.js";
+import {
+  PUBLISHED,
+  findPublishedPost,
+  populatePost,
+  serializePosts,
+} from "../lib/posts.js";
+import { getVisibility } from "../lib/visibility.js";
+
+export const getBookmarks = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  // pages follow when posts were saved, not when they were written
+  const { items: bookmarks, nextCursor } = await paginate(
+    Bookmark.find({ user: user._id }),
+    page
+  );
+
+  const visibility = await getVisibility(user);
+  const posts = await visibility.apply(
+    populatePost(
+      Post.find({
+        _id: { $in: bookmarks.map((bookmark) => bookmark.post) },
+        ...PUBLISHED,
+      })
+    )
+  );
+  const byId = new Map(posts.map((post) => [post._id.toString(), post]));
+
+  // saved posts that were deleted or are hidden now simply drop out
+  const saved = bookmarks
+    .map((bookmark) => ({
+      post: byId.get(bookmark.post.toString()),
+      bookmarkedAt: bookmark.createdAt,
+    }))
+    .filter(({ post }) => post);
+
+  const serialized = await serializePosts(
+    visibility.redact(saved.map(({ post }) => post)),
+    user
+  );
+
+  res.status(200).json({
+    posts: serialized.map((post, index) => ({
+      ...post,
+      bookmarkedAt: saved[index].bookmarkedAt,
+    })),
+    nextCursor,
+  });
+});
+
+export const addBookmark = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  const post = await findPublishedPost(postId);
+
+  if (!user || !post)
+    return res.status(404).json({ error: "User or post not found" });
+
+  const visibility = await getVisibility(user);
+  if (!visibility.canSeeContent(post))
+    return res.status(404).json({ error: "Post not found" });
+
+  // saving twice is a no-op
+  try {
+    await Bookmark.create({ user: user._id, post: post._id });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  res.status(200).json({ message: "Post bookmarked successfully" });
+});
+
+export const removeBookmark = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const bookmark = await Bookmark.findOneAndDelete({
+    user: user._id,
+    post: postId,
+  });
+  if (!bookmark) return res.status(404).json({ error: "Bookmark not found" });
+
+  res.status(200).json({ message: "Bookmark removed successfully" });
+});
@@ -3,16 +3,199 @@ import { getAuth } from "@clerk/express";
 import Comment from "../models/comment.model.js";
 import Post from "../models/post.model.js";
 import User from "../models/user.model.js";
-import Notification from "../models/notification.model.js";
+import { notify, retract } from "../lib/notifier.js";
+import { emitPostCounts } from "../lib/events.js";
+import { encodeCursor, getPageParams, paginate } from "../lib/pagination.js";
+import { serializeComment } from "../lib/comments.js";
+import { findPublishedPost } from "../lib/posts.js";
+import { removeComment } from "../lib/removal.js";
+import { getViewer } from "../lib/viewer.js";
+import { notifyMentions, parseEntities } from "../lib/entities.js";
+import {
+  canReachContent,
+  getVisibility,
+  isBlockedBetween,
+} from "../lib/visibility.js";
+
+const DEFAULT_TREE_DEPTH = 2;
+const MAX_TREE_DEPTH = 4;
+const DEFAULT_REPLY_LIMIT = 3;
+const MAX_REPLY_LIMIT = 10;
+// replies nested into one response at most, however deep and wide the tree
+const MAX_TREE_NODES = 200;
+const USER_FIELDS = "username firstName lastName profilePicture";
+
+const clamp = (value, fallback, min, max) =>
+  Math.min(Math.max(Number.isNaN(value) ? fallback : value, min), max);
+
+// ?depth= is how many reply levels to nest, ?replyLimit= the page size of each
+const getTreeParams = (query) => ({
+  depth: clamp(
+    parseInt(query.depth, 10),
+    DEFAULT_TREE_DEPTH,
+    0,
+    MAX_TREE_DEPTH
+  ),
+  replyLimit: clamp(
+    parseInt(query.replyLimit, 10),
+    DEFAULT_REPLY_LIMIT,
+    1,
+    MAX_REPLY_LIMIT
+  ),
+});
+
+const findReplies = (parentId, visibility) =>
+  visibility.apply(
+    Comment.find({ parentComment: parentId }).populate("user", USER_FIELDS)
+  );
+
+// the newest `limit` replies of every comment in `parentIds`, plus one to
+// tell whether there are more, in one query. keyed by parent id.
+const findReplyPages = async (parentIds, limit, visibility) => {
+  const groups = await Comment.aggregate([
+    { $match: { parentComment: { $in: parentIds }, ...visibility.filter() } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $group: { _id: "$parentComment", replies: { $push: "$$ROOT" } } },
+    { $project: { replies: { $slice: ["$replies", limit + 1] } } },
+  ]);
+
+  const replies = groups.flatMap((group) =>
+    group.replies.map((reply) => Comment.hydrate(reply))
+  );
+  await Comment.populate(replies, { path: "user", select: USER_FIELDS });
+
+  const pages = new Map();
+  for (const reply of replies) {
+    const key = reply.parentComment.toString();
+    pages.set(key, [...(pages.get(key) ?? []), reply]);
+  }
+  return pages;
+};
+
+// nests the first page of replies under each comment, `levels` deep, one
+// query per level. every level carries its own cursor so clients can load
+// more in place; past MAX_TREE_NODES the remaining comments are left
+// without `replies` for the client to fetch.
+const buildReplyTree = async (
+  comments,
+  levels,
+  { replyLimit, viewer, visibility }
+) => {
+  const tree = comments.map((comment) => serializeComment(comment, viewer));
+  let budget = MAX_TREE_NODES - tree.length;
+  let level = comments.map((comment, index) => [comment, tree[index]]);
+
+  for (let remaining = levels; remaining > 0; remaining--) {
+    const parents = level.filter(([comment]) => comment.replyCount > 0);
+    if (parents.length === 0 || budget <= 0) break;
+
+    const pages = await findReplyPages(
+      parents.map(([comment]) => comment._id),
+      replyLimit,
+      visibility
+    );
+
+    const next = [];
+    for (const [comment, node] of parents) {
+      if (budget <= 0) break;
+
+      const page = pages.get(comment._id.toString()) ?? [];
+      const items = page.slice(0, Math.min(replyLimit, budget));
+      budget -= items.length;
+
+      node.replies = items.map((reply) => {
+        const child = serializeComment(reply, viewer);
+        next.push([reply, child]);
+        return child;
+      });
+      node.nextReplyCursor =
+        page.length > items.length
+          ? encodeCursor(items[items.length - 1])
+          : null;
+    }
+    level = next;
+  }
+
+  return tree;
+};
 
 export const getComments = asyncHandler(async (req, res) => {
   const { postId } = req.params;
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const viewer = await getViewer(req);
+  const visibility = await getVisibility(viewer);
+
+  // comments are only as visible as the post they're on
+  const post = await findPublishedPost(postId);
+  if (!post || !visibility.canSeeContent(post))
+    return res.status(404).json({ error: "Post not found" });
+
+  // threaded mode pages through top-level comments with their replies nested
+  if (req.query.threaded === "true") {
+    const { depth, replyLimit } = getTreeParams(req.query);
+
+    const { items, nextCursor } = await paginate(
+      visibility.apply(
+        Comment.find({ post: postId, parentComment: null }).populate(
+          "user",
+          USER_FIELDS
+        )
+      ),
+      page
+    );
+
+    const comments = await buildReplyTree(items, depth, {
+      replyLimit,
+      viewer,
+      visibility,
+    });
+    return res.status(200).json({ comments, nextCursor });
+  }
 
-  const comments = await Comment.find({ post: postId })
-    .sort({ createdAt: -1 })
-    .populate("user", "username firstName lastName profilePicture");
+  const { items, nextCursor } = await paginate(
+    visibility.apply(
+      Comment.find({ post: postId }).populate("user", USER_FIELDS)
+    ),
+    page
+  );
 
-  res.status(200).json({ comments });
+  res.status(200).json({
+    comments: items.map((comment) => serializeComment(comment, viewer)),
+    nextCursor,
+  });
+});
+
+export const getReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const { depth, replyLimit } = getTreeParams(req.query);
+  const viewer = await getViewer(req);
+  const visibility = await getVisibility(viewer);
+
+  const parent = await Comment.findById(commentId);
+  const post = parent && (await findPublishedPost(parent.post));
+  if (
+    !post ||
+    !visibility.canSeeContent(post) ||
+    !visibility.canSeeContent(parent)
+  )
+    return res.status(404).json({ error: "Comment not found" });
+
+  const { items, nextCursor } = await paginate(
+    findReplies(commentId, visibility),
+    page
+  );
+  const replies = await buildReplyTree(items, depth, {
+    replyLimit,
+    viewer,
+    visibility,
+  });
+
+  res.status(200).json({ replies, nextCursor });
 });
 
 export const createComment = asyncHandler(async (req, res) => {
@@ -25,25 +208,37 @@ export const createComment = asyncHandler(async (req, res) => {
   }
 
   const user = await User.findOne({ clerkId: userId });
-  const post = await Post.findById(postId);
+  const post = await findPublishedPost(postId);
 
   if (!user || !post)
     return res.status(404).json({ error: "User or post not found" });
 
+  if (await isBlockedBetween(user, post.user))
+    return res.status(403).json({ error: "You can't comment on this post" });
+
+  if (!canReachContent(user, post))
+    return res.status(404).json({ error: "User or post not found" });
+
+  const { hashtags, mentions } = await parseEntities(content);
+
   const comment = await Comment.create({
     user: user._id,
+    authorIsPrivate: user.isPrivate,
     post: postId,
     content,
+    hashtags,
+    mentions,
   });
 
   // link the comment to the post
   await Post.findByIdAndUpdate(postId, {
     $push: { comments: comment._id },
+    $inc: { commentCount: 1 },
   });
 
   // create notification if not commenting on own post
   if (post.user.toString() !== user._id.toString()) {
-    await Notification.create({
+    await notify({
       from: user._id,
       to: post.user,
       type: "comment",
@@ -52,9 +247,159 @@ export const createComment = asyncHandler(async (req, res) => {
     });
   }
 
+  // the post author already heard about this comment
+  await notifyMentions({
+    from: user._id,
+    mentions,
+    post: postId,
+    comment: comment._id,
+    skip: [post.user],
+  });
+
+  await emitPostCounts(postId);
+
   res.status(201).json({ comment });
 });
 
+export const createReply = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  if (!content || content.trim() === "") {
+    return res.status(400).json({ error: "Reply content is required" });
+  }
+
+  const user = await User.findOne({ clerkId: userId });
+  const parent = await Comment.findById(commentId);
+
+  if (!user || !parent)
+    return res.status(404).json({ error: "User or comment not found" });
+
+  if (parent.isDeleted)
+    return res
+      .status(400)
+      .json({ error: "You can't reply to a deleted comment" });
+
+  const post = await Post.findById(parent.post);
+  if (!post) return res.status(404).json({ error: "Post not found" });
+
+  if (
+    (await isBlockedBetween(user, post.user)) ||
+    (await isBlockedBetween(user, parent.user))
+  )
+    return res.status(403).json({ error: "You can't reply to this comment" });
+
+  if (!canReachContent(user, post) || !canReachContent(user, parent))
+    return res.status(404).json({ error: "User or comment not found" });
+
+  const { hashtags, mentions } = await parseEntities(content);
+
+  const reply = await Comment.create({
+    user: user._id,
+    authorIsPrivate: user.isPrivate,
+    post: parent.post,
+    parentComment: parent._id,
+    depth: parent.depth + 1,
+    content,
+    hashtags,
+    mentions,
+  });
+
+  await Comment.findByIdAndUpdate(parent._id, { $inc: { replyCount: 1 } });
+
+  // replies count towards the post's comments as well
+  await Post.findByIdAndUpdate(parent.post, {
+    $push: { comments: reply._id },
+    $inc: { commentCount: 1 },
+  });
+
+  // create notification if not replying to own comment
+  if (parent.user.toString() !== user._id.toString()) {
+    await notify({
+      from: user._id,
+      to: parent.user,
+      type: "reply",
+      post: parent.post,
+      comment: reply._id,
+    });
+  }
+
+  await notifyMentions({
+    from: user._id,
+    mentions,
+    post: parent.post,
+    comment: reply._id,
+    skip: [parent.user],
+  });
+
+  await emitPostCounts(parent.post);
+
+  res.status(201).json({ comment: reply });
+});
+
+export const likeComment = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { commentId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  const comment = await Comment.findById(commentId);
+
+  if (!user || !comment || comment.isDeleted)
+    return res.status(404).json({ error: "User or comment not found" });
+
+  if (await isBlockedBetween(user, comment.user))
+    return res.status(403).json({ error: "You can't like this comment" });
+
+  const post = await Post.findById(comment.post).select("user authorIsPrivate");
+  if (!post || !canReachContent(user, post) || !canReachContent(user, comment))
+    return res.status(404).json({ error: "User or comment not found" });
+
+  const isLiked = comment.likes.some((id) => id.equals(user._id));
+
+  // the filters make a repeated tap a no-op instead of a duplicate like, so
+  // only the request that changed something notifies
+  if (isLiked) {
+    // unlike
+    const { modifiedCount } = await Comment.updateOne(
+      { _id: comment._id, likes: user._id },
+      { $pull: { likes: user._id } }
+    );
+
+    // remove the notification the like created
+    if (modifiedCount)
+      await retract({
+        from: user._id,
+        to: comment.user,
+        type: "like",
+        comment: comment._id,
+      });
+  } else {
+    // like
+    const { modifiedCount } = await Comment.updateOne(
+      { _id: comment._id, likes: { $ne: user._id } },
+      { $push: { likes: user._id } }
+    );
+
+    // create notification if not liking own comment
+    if (modifiedCount && !comment.user.equals(user._id)) {
+      await notify({
+        from: user._id,
+        to: comment.user,
+        type: "like",
+        post: comment.post,
+        comment: comment._id,
+      });
+    }
+  }
+
+  res.status(200).json({
+    message: isLiked
+      ? "Comment unliked successfully"
+      : "Comment liked successfully",
+  });
+});
+
 export const deleteComment = asyncHandler(async (req, res) => {
   const { userId } = getAuth(req);
   const { commentId } = req.params;
@@ -62,7 +407,7 @@ export const deleteComment = asyncHandler(async (req, res) => {
   const user = await User.findOne({ clerkId: userId });
   const comment = await Comment.findById(commentId);
 
-  if (!user || !comment) {
+  if (!user || !comment || comment.isDeleted) {
     return res.status(404).json({ error: "User or comment not found" });
   }
 
@@ -72,13 +417,7 @@ export const deleteComment = asyncHandler(async (req, res) => {
       .json({ error: "You can only delete your own comments" });
   }
 
-  // remove comment from post
-  await Post.findByIdAndUpdate(comment.post, {
-    $pull: { comments: commentId },
-  });
-
-  // delete the comment
-  await Comment.findByIdAndDelete(commentId);
+  await removeComment(comment);
 
   res.status(200).json({ message: "Comment deleted successfully" });
 });
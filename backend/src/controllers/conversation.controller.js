@@ -0,0 +1,281 @@
+import asyncHandler from "express-async-handler";
+import { getAuth } from "@clerk/express";
+import Conversation from "../models/conversation.model.js";
+import Message from "../models/message.model.js";
+import User from "../models/user.model.js";
+import { getPageParams, paginate } from "../lib/pagination.js";
+import { uploadImage } from "../lib/media.js";
+import { removeMessages } from "../lib/removal.js";
+import { isBlockedBetween } from "../lib/visibility.js";
+
+const MAX_GROUP_SIZE = 10;
+
+const findConversation = (conversationId, user) =>
+  Conversation.findOne({ _id: conversationId, participants: user._id });
+
+const countUnread = (conversation, user) => {
+  const state = conversation.readState.find((entry) =>
+    entry.user.equals(user._id)
+  );
+
+  return Message.countDocuments({
+    conversation: conversation._id,
+    sender: { $ne: user._id },
+    ...(state && { createdAt: { $gt: state.lastReadAt } }),
+  });
+};
+
+const markRead = (conversationId, user, lastReadAt = new Date()) =>
+  Conversation.updateOne(
+    { _id: conversationId, "readState.user": user._id },
+    { $set: { "readState.$.lastReadAt": lastReadAt } }
+  );
+
+export const getConversations = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  // newest activity first
+  const { items, nextCursor } = await paginate(
+    Conversation.find({ participants: user._id })
+      .populate("participants", "username firstName lastName profilePicture")
+      .populate("lastMessage"),
+    page,
+    "lastMessageAt"
+  );
+
+  const conversations = await Promise.all(
+    items.map(async (conversation) => ({
+      ...conversation.toObject(),
+      unreadCount: await countUnread(conversation, user),
+    }))
+  );
+
+  res.status(200).json({ conversations, nextCursor });
+});
+
+export const createConversation = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { participantIds = [], name = "" } = req.body;
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  // Clerk ids, like the other user routes
+  if (
+    !Array.isArray(participantIds) ||
+    participantIds.some((id) => typeof id !== "string" || !id)
+  )
+    return res
+      .status(400)
+      .json({ error: "participantIds must be a list of user ids" });
+
+  const otherIds = [...new Set(participantIds)].filter((id) => id !== userId);
+
+  if (otherIds.length === 0)
+    return res
+      .status(400)
+      .json({ error: "A conversation needs at least one other participant" });
+
+  if (otherIds.length + 1 > MAX_GROUP_SIZE)
+    return res.status(400).json({
+      error: `Group conversations are limited to ${MAX_GROUP_SIZE} people`,
+    });
+
+  const others = await User.find({ clerkId: { $in: otherIds } });
+  if (others.length !== otherIds.length)
+    return res.status(404).json({ error: "User not found" });
+
+  for (const other of others) {
+    if (await isBlockedBetween(user, other._id))
+      return res
+        .status(403)
+        .json({ error: `You can't message @${other.username}` });
+  }
+
+  const participants = [user._id, ...others.map((other) => other._id)];
+  const readState = participants.map((id) => ({
+    user: id,
+    lastReadAt: new Date(),
+  }));
+
+  // one-to-one conversations are reused rather than duplicated
+  if (others.length === 1) {
+    const directKey = participants
+      .map((id) => id.toString())
+      .sort()
+      .join(":");
+
+    let conversation;
+    try {
+      conversation = await Conversation.findOneAndUpdate(
+        { directKey },
+        {
+          $setOnInsert: {
+            participants,
+            readState,
+            createdBy: user._id,
+          },
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // both sides opened the conversation at once; the other insert won
+      if (error.code !== 11000) throw error;
+      conversation = await Conversation.findOne({ directKey });
+    }
+
+    return res.status(200).json({ conversation });
+  }
+
+  const conversation = await Conversation.create({
+    participants,
+    readState,
+    isGroup: true,
+    name,
+    createdBy: user._id,
+  });
+
+  res.status(201).json({ conversation });
+});
+
+export const getMessages = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { conversationId } = req.params;
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const conversation = await findConversation(conversationId, user);
+  if (!conversation)
+    return res.status(404).json({ error: "Conversation not found" });
+
+  const { items: messages, nextCursor } = await paginate(
+    Message.find({ conversation: conversation._id }).populate(
+      "sender",
+      "username firstName lastName profilePicture"
+    ),
+    page
+  );
+
+  res.status(200).json({ messages, nextCursor });
+});
+
+export const sendMessage = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { conversationId } = req.params;
+  const { text } = req.body;
+  const imageFile = req.file;
+
+  if (!text?.trim() && !imageFile) {
+    return res
+      .status(400)
+      .json({ error: "Message must contain either text or image" });
+  }
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const conversation = await findConversation(conversationId, user);
+  if (!conversation)
+    return res.status(404).json({ error: "Conversation not found" });
+
+  // blocks stop a conversation in either direction, groups included: a
+  // block placed after the group was created still keeps the two apart
+  for (const other of conversation.participants) {
+    if (!other.equals(user._id) && (await isBlockedBetween(user, other)))
+      return res.status(403).json({
+        error: conversation.isGroup
+          ? "You can't message everyone in this conversation"
+          : "You can't message this user",
+      });
+  }
+
+  let uploaded = { url: "", publicId: "" };
+
+  // upload image to Cloudinary if provided
+  if (imageFile) {
+    try {
+      uploaded = await uploadImage(imageFile, "direct_messages");
+    } catch (uploadError) {
+      console.error("Cloudinary upload error:", uploadError);
+      return res.status(400).json({ error: "Failed to upload image" });
+    }
+  }
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: user._id,
+    text: text || "",
+    image: uploaded.url,
+    imagePublicId: uploaded.publicId,
+  });
+
+  await Conversation.findByIdAndUpdate(conversation._id, {
+    lastMessage: message._id,
+    lastMessageAt: message.createdAt,
+  });
+
+  // the sender has obviously seen their own message
+  await markRead(conversation._id, user, message.createdAt);
+
+  res.status(201).json({ message });
+});
+
+export const markConversationRead = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { conversationId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const conversation = await findConversation(conversationId, user);
+  if (!conversation)
+    return res.status(404).json({ error: "Conversation not found" });
+
+  await markRead(conversation._id, user);
+
+  res.status(200).json({ message: "Conversation marked as read" });
+});
+
+export const leaveConversation = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { conversationId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const conversation = await findConversation(conversationId, user);
+  if (!conversation)
+    return res.status(404).json({ error: "Conversation not found" });
+
+  if (!conversation.isGroup)
+    return res
+      .status(400)
+      .json({ error: "You can only leave group conversations" });
+
+  const updated = await Conversation.findByIdAndUpdate(
+    conversation._id,
+    {
+      $pull: {
+        participants: user._id,
+        readState: { user: user._id },
+      },
+    },
+    { new: true }
+  );
+
+  // the last one out cleans up
+  if (updated.participants.length === 0) {
+    await removeMessages({ conversation: conversation._id });
+    await Conversation.findByIdAndDelete(conversation._id);
+  }
+
+  res.status(200).json({ message: "Left conversation successfully" });
+});
@@ -0,0 +1,29 @@
+import { timingSafeEqual } from "node:crypto";
+import asyncHandler from "express-async-handler";
+import { ENV } from "../config/env.js";
+import { runScheduledJobs } from "../lib/scheduler.js";
+
+// Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; without a secret
+// configured the route stays closed
+const isAuthorized = (header = "") => {
+  if (!ENV.CRON_SECRET) return false;
+
+  const expected = Buffer.from(`Bearer ${ENV.CRON_SECRET}`);
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+// runs the scheduled jobs once, for deployments without a long-running
+// process to keep the scheduler's timer going. vercel.json runs it daily,
+// the most Hobby projects are allowed (a tighter schedule fails to deploy),
+// so scheduled posts and poll results can be up to a day late there. on a
+// Pro plan set the schedule to "* * * * *", or have an external cron
+// service call this route with the same Authorization header.
+export const runCron = asyncHandler(async (req, res) => {
+  if (!isAuthorized(req.headers.authorization))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  await runScheduledJobs();
+
+  res.status(200).json({ ok: true });
+});
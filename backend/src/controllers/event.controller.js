@@ -0,0 +1,79 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import { getAuth } from "@clerk/express";
+import Post from "../models/post.model.js";
+import User from "../models/user.model.js";
+import { PUBLISHED } from "../lib/posts.js";
+import { channels, subscribe } from "../lib/pubsub.js";
+import { getVisibility } from "../lib/visibility.js";
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_POST_SUBSCRIPTIONS = 50;
+// how soon EventSource reconnects after the stream ends
+const RECONNECT_DELAY = 3000;
+
+// Server-Sent Events stream: the user's notifications, new-post signals from
+// followed accounts and count updates for the posts in ?posts=id1,id2.
+// streams are meant for a long-running host. serverless functions (Vercel)
+// cut them at their timeout, after which the client reconnects on its own;
+// events published in between are missed, and reaching streams held by
+// other instances needs PUBSUB_DRIVER=mongo.
+export const streamEvents = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const visibility = await getVisibility(user, { includeMuted: true });
+
+  // only posts the user could open themselves
+  const requested = String(req.query.posts || "")
+    .split(",")
+    .filter((id) => mongoose.isValidObjectId(id))
+    .slice(0, MAX_POST_SUBSCRIPTIONS);
+  const posts = await Post.find({
+    _id: { $in: requested },
+    ...PUBLISHED,
+  }).select("user authorIsPrivate");
+  const postIds = posts
+    .filter((post) => visibility.canSeeContent(post))
+    .map((post) => post._id.toString());
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  // every event names who it's about; muted and blocked accounts are left
+  // out everywhere, as they are in feeds and notifications
+  const send = (event) => {
+    const author =
+      event.type === "notification" ? event.notification.from : event.authorId;
+    if (author && !visibility.canSee(author)) return;
+
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const unsubscribes = [
+    channels.user(user._id),
+    ...user.following.map((id) => channels.feed(id)),
+    ...postIds.map((id) => channels.post(id)),
+  ].map((channel) => subscribe(channel, send));
+
+  // keeps proxies from closing an idle connection
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribes.forEach((unsubscribe) => unsubscribe());
+  });
+
+  send({ type: "ready", posts: postIds });
+});
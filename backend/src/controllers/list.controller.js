@@ -0,0 +1,219 @@
+import asyncHandler from "express-async-handler";
+import { getAuth } from "@clerk/express";
+import List from "../models/list.model.js";
+import Post from "../models/post.model.js";
+import User from "../models/user.model.js";
+import { getPageParams, paginate } from "../lib/pagination.js";
+import { PUBLISHED, populatePost, serializePosts } from "../lib/posts.js";
+import { USER_CARD_FIELDS, toUserCards } from "../lib/follows.js";
+import { getViewer } from "../lib/viewer.js";
+import { getVisibility, isBlockedBetween } from "../lib/visibility.js";
+
+const MAX_LISTS = 100;
+const MAX_LIST_MEMBERS = 500;
+
+const isOwner = (list, user) => Boolean(user) && list.owner.equals(user._id);
+
+// private lists 404 for everyone but their owner
+const findVisibleList = async (listId, viewer) => {
+  const list = await List.findById(listId);
+  if (!list || (list.isPrivate && !isOwner(list, viewer))) return null;
+  return list;
+};
+
+const findOwnList = (listId, user) =>
+  List.findOne({ _id: listId, owner: user._id });
+
+const toListSummary = (list) => {
+  const { members, ...summary } = list.toObject();
+  return { ...summary, memberCount: members.length };
+};
+
+export const getMyLists = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const { items, nextCursor } = await paginate(
+    List.find({ owner: user._id }),
+    page
+  );
+
+  res.status(200).json({ lists: items.map(toListSummary), nextCursor });
+});
+
+export const createList = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { name, description = "", isPrivate = false } = req.body;
+
+  if (!name?.trim())
+    return res.status(400).json({ error: "List name is required" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  if ((await List.countDocuments({ owner: user._id })) >= MAX_LISTS)
+    return res
+      .status(400)
+      .json({ error: `You can have at most ${MAX_LISTS} lists` });
+
+  const list = await List.create({
+    owner: user._id,
+    name,
+    description,
+    isPrivate: Boolean(isPrivate),
+  });
+
+  res.status(201).json({ list: toListSummary(list) });
+});
+
+export const getList = asyncHandler(async (req, res) => {
+  const { listId } = req.params;
+
+  const viewer = await getViewer(req);
+  const list = await findVisibleList(listId, viewer);
+  if (!list) return res.status(404).json({ error: "List not found" });
+
+  await list.populate("owner", "clerkId username firstName lastName");
+
+  res.status(200).json({ list: toListSummary(list) });
+});
+
+export const updateList = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { listId } = req.params;
+  const { name, description, isPrivate } = req.body;
+
+  if (name !== undefined && !name?.trim())
+    return res.status(400).json({ error: "List name is required" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const update = {};
+  if (name !== undefined) update.name = name;
+  if (description !== undefined) update.description = description;
+  if (isPrivate !== undefined) update.isPrivate = Boolean(isPrivate);
+
+  const list = await List.findOneAndUpdate(
+    { _id: listId, owner: user._id },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+  if (!list) return res.status(404).json({ error: "List not found" });
+
+  res.status(200).json({ list: toListSummary(list) });
+});
+
+export const deleteList = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { listId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const list = await List.findOneAndDelete({ _id: listId, owner: user._id });
+  if (!list) return res.status(404).json({ error: "List not found" });
+
+  res.status(200).json({ message: "List deleted successfully" });
+});
+
+export const getListMembers = asyncHandler(async (req, res) => {
+  const { listId } = req.params;
+
+  const viewer = await getViewer(req);
+  const list = await findVisibleList(listId, viewer);
+  if (!list) return res.status(404).json({ error: "List not found" });
+
+  const visibility = await getVisibility(viewer, { includePrivate: false });
+
+  const members = await visibility
+    .apply(User.find({ _id: { $in: list.members } }), "_id")
+    .select(USER_CARD_FIELDS);
+
+  res.status(200).json({ users: toUserCards(members, viewer) });
+});
+
+// members are addressed by Clerk id, like the other user routes
+export const addListMember = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { listId, targetUserId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  const target = await User.findOne({ clerkId: targetUserId });
+
+  if (!user || !target)
+    return res.status(404).json({ error: "User not found" });
+
+  const list = await findOwnList(listId, user);
+  if (!list) return res.status(404).json({ error: "List not found" });
+
+  if (await isBlockedBetween(user, target._id))
+    return res
+      .status(403)
+      .json({ error: `You can't add @${target.username} to a list` });
+
+  // the size check is part of the update so concurrent adds can't overshoot
+  const updated = await List.findOneAndUpdate(
+    {
+      _id: list._id,
+      [`members.${MAX_LIST_MEMBERS - 1}`]: { $exists: false },
+    },
+    { $addToSet: { members: target._id } },
+    { new: true }
+  );
+  if (!updated)
+    return res.status(400).json({
+      error: `Lists can have at most ${MAX_LIST_MEMBERS} members`,
+    });
+
+  res.status(200).json({ list: toListSummary(updated) });
+});
+
+export const removeListMember = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { listId, targetUserId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  const target = await User.findOne({ clerkId: targetUserId });
+
+  if (!user || !target)
+    return res.status(404).json({ error: "User not found" });
+
+  const list = await List.findOneAndUpdate(
+    { _id: listId, owner: user._id },
+    { $pull: { members: target._id } },
+    { new: true }
+  );
+  if (!list) return res.status(404).json({ error: "List not found" });
+
+  res.status(200).json({ list: toListSummary(list) });
+});
+
+// posts by list members, shaped like the main timeline
+export const getListTimeline = asyncHandler(async (req, res) => {
+  const { listId } = req.params;
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const viewer = await getViewer(req);
+  const list = await findVisibleList(listId, viewer);
+  if (!list) return res.status(404).json({ error: "List not found" });
+
+  const visibility = await getVisibility(viewer, { includeMuted: true });
+
+  const { items: posts, nextCursor } = await paginate(
+    visibility.apply(
+      populatePost(Post.find({ user: { $in: list.members }, ...PUBLISHED }))
+    ),
+    page
+  );
+
+  res.status(200).json({
+    posts: await serializePosts(visibility.redact(posts), viewer),
+    nextCursor,
+  });
+});
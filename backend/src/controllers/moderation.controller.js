@@ -0,0 +1,321 @@
+import asyncHandler from "express-async-handler";
+import { getAuth } from "@clerk/express";
+import mongoose from "mongoose";
+import AuditLog from "../models/auditLog.model.js";
+import Comment from "../models/comment.model.js";
+import Post from "../models/post.model.js";
+import Report, { REPORT_STATUSES } from "../models/report.model.js";
+import User from "../models/user.model.js";
+import { getPageParams, paginate } from "../lib/pagination.js";
+import { outranks, recordAudit, resolveReports } from "../lib/moderation.js";
+import { removeComment, removePost } from "../lib/removal.js";
+
+const USER_FIELDS = "clerkId username firstName lastName profilePicture";
+const MAX_SUSPENSION_DAYS = 3650;
+const TARGET_TYPES = { post: "Post", comment: "Comment", user: "User" };
+
+const getModerator = (req) => User.findOne({ clerkId: getAuth(req).userId });
+
+// moderators act on content of users below them only, like on the users
+// themselves. content of deleted accounts has no one to outrank.
+const outranksAuthor = async (moderator, authorId) => {
+  const author = await User.findById(authorId).select("role");
+  return !author || outranks(moderator, author);
+};
+
+// actions can optionally point at the report that prompted them
+const toReportId = (id) => (mongoose.isValidObjectId(id) ? id : null);
+
+// ?status= (open by default) and ?targetType=post|comment|user
+export const getReports = asyncHandler(async (req, res) => {
+  const { status = "open", targetType } = req.query;
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  if (!REPORT_STATUSES.includes(status))
+    return res.status(400).json({
+      error: `Status must be one of ${REPORT_STATUSES.join(", ")}`,
+    });
+  if (targetType !== undefined && !TARGET_TYPES[targetType])
+    return res
+      .status(400)
+      .json({ error: "Target type must be post, comment or user" });
+
+  const { items: reports, nextCursor } = await paginate(
+    Report.find({
+      status,
+      ...(targetType && { targetType: TARGET_TYPES[targetType] }),
+    })
+      .populate("reporter", USER_FIELDS)
+      .populate("targetUser", `${USER_FIELDS} role suspendedUntil`)
+      .populate("assignedTo", USER_FIELDS)
+      .populate("target"),
+    page
+  );
+
+  res.status(200).json({ reports, nextCursor });
+});
+
+// a moderator picks up an open report
+export const triageReport = asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+
+  const moderator = await getModerator(req);
+  if (!moderator) return res.status(404).json({ error: "User not found" });
+
+  const report = await Report.findOneAndUpdate(
+    { _id: reportId, status: "open" },
+    { $set: { status: "in_review", assignedTo: moderator._id } },
+    { new: true }
+  );
+  if (!report) return res.status(404).json({ error: "Open report not found" });
+
+  await recordAudit({
+    actor: moderator,
+    action: "report.triage",
+    targetType: "Report",
+    target: report._id,
+    report: report._id,
+  });
+
+  res.status(200).json({ report });
+});
+
+// closes a report as "resolved" or "dismissed" without touching its target
+const closeReport = (status, action) =>
+  asyncHandler(async (req, res) => {
+    const { reportId } = req.params;
+    const { note = "" } = req.body || {};
+
+    const moderator = await getModerator(req);
+    if (!moderator) return res.status(404).json({ error: "User not found" });
+
+    const report = await Report.findOneAndUpdate(
+      { _id: reportId, status: { $in: ["open", "in_review"] } },
+      {
+        $set: {
+          status,
+          resolvedBy: moderator._id,
+          resolvedAt: new Date(),
+          resolutionNote: note,
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!report)
+      return res.status(404).json({ error: "Pending report not found" });
+
+    await recordAudit({
+      actor: moderator,
+      action,
+      targetType: "Report",
+      target: report._id,
+      report: report._id,
+      details: { note },
+    });
+
+    res.status(200).json({ report });
+  });
+
+export const resolveReport = closeReport("resolved", "report.resolve");
+export const dismissReport = closeReport("dismissed", "report.dismiss");
+
+export const removePostAsModerator = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { reason = "", reportId = null } = req.body || {};
+
+  const moderator = await getModerator(req);
+  const post = await Post.findById(postId);
+
+  if (!moderator || !post)
+    return res.status(404).json({ error: "User or post not found" });
+
+  if (!(await outranksAuthor(moderator, post.user)))
+    return res.status(403).json({
+      error: "You can't remove posts of someone with your role or above",
+    });
+
+  await removePost(post);
+  const resolvedReports = await resolveReports(post._id, moderator, reason);
+
+  await recordAudit({
+    actor: moderator,
+    action: "post.remove",
+    targetType: "Post",
+    target: post._id,
+    report: toReportId(reportId),
+    details: {
+      reason,
+      author: post.user,
+      content: post.content,
+      media: post.media.map((item) => item.url),
+      resolvedReports,
+    },
+  });
+
+  res.status(200).json({ message: "Post removed", resolvedReports });
+});
+
+export const removeCommentAsModerator = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { reason = "", reportId = null } = req.body || {};
+
+  const moderator = await getModerator(req);
+  const comment = await Comment.findById(commentId);
+
+  if (!moderator || !comment || comment.isDeleted)
+    return res.status(404).json({ error: "User or comment not found" });
+
+  if (!(await outranksAuthor(moderator, comment.user)))
+    return res.status(403).json({
+      error: "You can't remove comments of someone with your role or above",
+    });
+
+  await removeComment(comment);
+  const resolvedReports = await resolveReports(comment._id, moderator, reason);
+
+  await recordAudit({
+    actor: moderator,
+    action: "comment.remove",
+    targetType: "Comment",
+    target: comment._id,
+    report: toReportId(reportId),
+    details: {
+      reason,
+      author: comment.user,
+      post: comment.post,
+      content: comment.content,
+      resolvedReports,
+    },
+  });
+
+  res.status(200).json({ message: "Comment removed", resolvedReports });
+});
+
+export const suspendUser = asyncHandler(async (req, res) => {
+  const { targetUserId } = req.params;
+  const { days, reason = "", reportId = null } = req.body || {};
+
+  const duration = Number(days);
+  if (
+    !Number.isInteger(duration) ||
+    duration < 1 ||
+    duration > MAX_SUSPENSION_DAYS
+  )
+    return res.status(400).json({
+      error: `Suspensions last between 1 and ${MAX_SUSPENSION_DAYS} days`,
+    });
+
+  const moderator = await getModerator(req);
+  const target = await User.findOne({ clerkId: targetUserId });
+
+  if (!moderator || !target)
+    return res.status(404).json({ error: "User not found" });
+
+  if (!outranks(moderator, target))
+    return res
+      .status(403)
+      .json({ error: "You can't suspend someone with your role or above" });
+
+  const suspendedUntil = new Date(Date.now() + duration * 24 * 60 * 60 * 1000);
+
+  await User.findByIdAndUpdate(target._id, {
+    $set: { suspendedUntil, suspensionReason: reason },
+  });
+  const resolvedReports = await resolveReports(target._id, moderator, reason);
+
+  await recordAudit({
+    actor: moderator,
+    action: "user.suspend",
+    targetType: "User",
+    target: target._id,
+    report: toReportId(reportId),
+    details: { days: duration, suspendedUntil, reason, resolvedReports },
+  });
+
+  res.status(200).json({ suspendedUntil, resolvedReports });
+});
+
+export const unsuspendUser = asyncHandler(async (req, res) => {
+  const { targetUserId } = req.params;
+
+  const moderator = await getModerator(req);
+  const target = await User.findOne({ clerkId: targetUserId });
+
+  if (!moderator || !target)
+    return res.status(404).json({ error: "User not found" });
+
+  if (!outranks(moderator, target))
+    return res
+      .status(403)
+      .json({ error: "You can't unsuspend someone with your role or above" });
+
+  if (!target.suspendedUntil || target.suspendedUntil <= new Date())
+    return res.status(400).json({ error: "This account isn't suspended" });
+
+  await User.findByIdAndUpdate(target._id, {
+    $set: { suspendedUntil: null, suspensionReason: "" },
+  });
+
+  await recordAudit({
+    actor: moderator,
+    action: "user.unsuspend",
+    targetType: "User",
+    target: target._id,
+    details: { suspendedUntil: target.suspendedUntil },
+  });
+
+  res.status(200).json({ message: "Suspension lifted" });
+});
+
+// admins only
+export const setUserRole = asyncHandler(async (req, res) => {
+  const { targetUserId } = req.params;
+  const { role } = req.body || {};
+
+  if (!["user", "moderator", "admin"].includes(role))
+    return res
+      .status(400)
+      .json({ error: "Role must be user, moderator or admin" });
+
+  const admin = await getModerator(req);
+  const target = await User.findOne({ clerkId: targetUserId });
+
+  if (!admin || !target)
+    return res.status(404).json({ error: "User not found" });
+
+  if (admin._id.equals(target._id))
+    return res.status(400).json({ error: "You can't change your own role" });
+
+  await User.findByIdAndUpdate(target._id, { $set: { role } });
+
+  await recordAudit({
+    actor: admin,
+    action: "user.role",
+    targetType: "User",
+    target: target._id,
+    details: { from: target.role, to: role },
+  });
+
+  res.status(200).json({ message: `Role set to ${role}` });
+});
+
+// admins only. ?actor= and ?target= narrow it down by _id
+export const getAuditLog = asyncHandler(async (req, res) => {
+  const { actor, target } = req.query;
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  if ([actor, target].some((id) => id && !mongoose.isValidObjectId(id)))
+    return res.status(400).json({ error: "Invalid id" });
+
+  const { items: entries, nextCursor } = await paginate(
+    AuditLog.find({
+      ...(actor && { actor }),
+      ...(target && { target }),
+    }).populate("actor", USER_FIELDS),
+    page
+  );
+
+  res.status(200).json({ entries, nextCursor });
+});
@@ -1,21 +1,159 @@
 import asyncHandler from "express-async-handler";
 import { getAuth } from "@clerk/express";
+import mongoose from "mongoose";
 import Notification from "../models/notification.model.js";
 import User from "../models/user.model.js";
+import { getVisibility } from "../lib/visibility.js";
+import { populateNotificationPosts } from "../lib/notifier.js";
+import {
+  decodeCursor,
+  getOffsetPageParams,
+  getPageParams,
+  paginate,
+  toOffsetPage,
+} from "../lib/pagination.js";
+
+// notifications about the same post (or comment) collapse into one group
+// for these types, e.g. "A, B and 12 others liked your post"
+const GROUPED_TYPES = ["like", "repost", "follow"];
+const GROUP_PREVIEW_ACTORS = 3;
+
+// muted and blocked accounts don't show up in notifications
+const getNotificationVisibility = (user) =>
+  getVisibility(user, { includeMuted: true, includePrivate: false });
 
 export const getNotifications = asyncHandler(async (req, res) => {
   const { userId } = getAuth(req);
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const visibility = await getNotificationVisibility(user);
+
+  const { items: notifications, nextCursor } = await paginate(
+    visibility
+      .apply(Notification.find({ to: user._id }), "from")
+      .populate("from", "username firstName lastName profilePicture")
+      .populate("comment", "content"),
+    page
+  );
+  await populateNotificationPosts(notifications);
+
+  res.status(200).json({ notifications, nextCursor });
+});
+
+export const getGroupedNotifications = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const page = getOffsetPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
 
   const user = await User.findOne({ clerkId: userId });
   if (!user) return res.status(404).json({ error: "User not found" });
 
-  const notifications = await Notification.find({ to: user._id })
-    .sort({ createdAt: -1 })
-    .populate("from", "username firstName lastName profilePicture")
-    .populate("post", "content image")
-    .populate("comment", "content");
+  const visibility = await getNotificationVisibility(user);
+
+  const results = await Notification.aggregate([
+    { $match: { to: user._id, ...visibility.filter("from") } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: {
+          $cond: [
+            { $in: ["$type", GROUPED_TYPES] },
+            { type: "$type", post: "$post", comment: "$comment" },
+            { notification: "$_id" },
+          ],
+        },
+        type: { $first: "$type" },
+        post: { $first: "$post" },
+        comment: { $first: "$comment" },
+        latestAt: { $first: "$createdAt" },
+        actors: { $push: "$from" },
+        notificationIds: { $push: "$_id" },
+        unreadCount: { $sum: { $cond: ["$read", 0, 1] } },
+      },
+    },
+    { $sort: { latestAt: -1, _id: 1 } },
+    { $skip: page.offset },
+    { $limit: page.limit + 1 },
+  ]);
+
+  const { items, nextCursor } = toOffsetPage(results, page);
+
+  // newest actors first, each counted once
+  const groups = items.map(({ _id, actors, ...group }) => {
+    const uniqueActors = [...new Set(actors.map((id) => id.toString()))];
+
+    return {
+      ...group,
+      actorCount: uniqueActors.length,
+      actors: uniqueActors
+        .slice(0, GROUP_PREVIEW_ACTORS)
+        .map((id) => new mongoose.Types.ObjectId(id)),
+    };
+  });
+
+  await Notification.populate(groups, [
+    {
+      path: "actors",
+      model: "User",
+      select: "username firstName lastName profilePicture",
+    },
+    { path: "comment", select: "content" },
+  ]);
+  await populateNotificationPosts(groups);
+
+  res.status(200).json({ groups, nextCursor });
+});
+
+export const getUnreadCount = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const visibility = await getNotificationVisibility(user);
+
+  const count = await visibility
+    .apply(Notification.find({ to: user._id, read: false }), "from")
+    .countDocuments();
+
+  res.status(200).json({ count });
+});
+
+// marks the given `ids`, or everything up to and including the notification
+// a `before` cursor points at, or all notifications when neither is given
+export const markNotificationsRead = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { ids, before } = req.body || {};
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const filter = { to: user._id, read: false };
+
+  if (Array.isArray(ids)) {
+    if (!ids.every((id) => mongoose.isValidObjectId(id)))
+      return res.status(400).json({ error: "Invalid notification id" });
+
+    filter._id = { $in: ids };
+  } else if (before) {
+    const cursor = decodeCursor(before);
+    if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+
+    filter.$or = [
+      { createdAt: { $lt: cursor.date } },
+      { createdAt: cursor.date, _id: { $lte: cursor.id } },
+    ];
+  }
+
+  const { modifiedCount } = await Notification.updateMany(filter, {
+    $set: { read: true },
+  });
 
-  res.status(200).json({ notifications });
+  res.status(200).json({ updated: modifiedCount });
 });
 
 export const deleteNotification = asyncHandler(async (req, res) => {
@@ -1,149 +1,711 @@
 import asyncHandler from "express-async-handler";
-import Post from "../models/post.model.js";
-import User from "../models/user.model.js";
-import cloudinary from "../config/cloudinary.js";
-import { getAuth } from "@clerk/express";
-import Notification from "../models/notification.model.js";
 import Comment from "../models/comment.model.js";
+import Post, { MAX_CONTENT_LENGTH } from "../models/post.model.js";
+import User, { USERNAME_COLLATION } from "../models/user.model.js";
+import { getAuth } from "@clerk/express";
+import { notify, retract } from "../lib/notifier.js";
+import { emitNewPost, emitPostCounts, emitPostEdited } from "../lib/events.js";
+import PollVote from "../models/pollVote.model.js";
+import { getPageParams, paginate } from "../lib/pagination.js";
+import {
+  MAX_VIDEO_DURATION,
+  removeMediaItem,
+  uploadMediaItem,
+} from "../lib/media.js";
+import {
+  PUBLISHED,
+  UNPUBLISHED_STATUSES,
+  announcePost,
+  findPublishedPost,
+  isPublished,
+  parsePostStatus,
+  populatePost,
+  publishPost,
+  serializePosts,
+} from "../lib/posts.js";
+import { serializeComment } from "../lib/comments.js";
+import { removePost } from "../lib/removal.js";
+import {
+  getPollEnd,
+  isPollEnded,
+  parsePoll,
+  serializePoll,
+} from "../lib/polls.js";
+import { getViewer } from "../lib/viewer.js";
+import {
+  canReachContent,
+  canViewProtected,
+  getVisibility,
+  isBlockedBetween,
+  toPublicProfile,
+} from "../lib/visibility.js";
+import {
+  normalizeHashtag,
+  notifyMentions,
+  parseEntities,
+} from "../lib/entities.js";
+
+const EDIT_WINDOW_MINUTES = 60;
+const MAX_EDITS = 5;
 
 export const getPosts = asyncHandler(async (req, res) => {
-  const posts = await Post.find()
-    .sort({ createdAt: -1 })
-    .populate("user", "username firstName lastName profilePicture")
-    .populate({
-      path: "user",
-      populate: {
-        select: "username firstName lastName profilePicture",
-      },
-    });
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const viewer = await getViewer(req);
+  const visibility = await getVisibility(viewer);
+
+  const { items: posts, nextCursor } = await paginate(
+    visibility.apply(populatePost(Post.find(PUBLISHED))),
+    page
+  );
+
+  res.status(200).json({
+    posts: await serializePosts(visibility.redact(posts), viewer),
+    nextCursor,
+  });
+});
+
+export const getFeed = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
 
-  res.status(200).json({ posts });
+  const visibility = await getVisibility(user, { includeMuted: true });
+
+  // home timeline: accounts the user follows plus their own posts
+  const { items: posts, nextCursor } = await paginate(
+    visibility.apply(
+      populatePost(
+        Post.find({
+          user: { $in: [...user.following, user._id] },
+          ...PUBLISHED,
+        })
+      )
+    ),
+    page
+  );
+
+  res.status(200).json({
+    posts: await serializePosts(visibility.redact(posts), user),
+    nextCursor,
+  });
+});
+
+export const getHashtagPosts = asyncHandler(async (req, res) => {
+  const tag = normalizeHashtag(req.params.tag);
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const viewer = await getViewer(req);
+  const visibility = await getVisibility(viewer);
+
+  const { items: posts, nextCursor } = await paginate(
+    visibility.apply(populatePost(Post.find({ hashtags: tag, ...PUBLISHED }))),
+    page
+  );
+
+  res.status(200).json({
+    tag,
+    posts: await serializePosts(visibility.redact(posts), viewer),
+    nextCursor,
+  });
 });
 
 export const getPost = asyncHandler(async (req, res) => {
   const { postId } = req.params;
 
-  const post = await Post.findById(postId)
-    .populate("user", "username firstName lastName profilePicture")
-    .populate({
-      path: "comments",
-      populate: {
-        path: "user",
-        select: "username firstName lastName profilePicture",
-      },
-    });
-
-  if (!post) return res.status(404).json({ error: "Post not found" });
+  const post = await populatePost(Post.findById(postId));
+
+  const viewer = await getViewer(req);
+  const visibility = await getVisibility(viewer);
+
+  // drafts and scheduled posts are only there for their author
+  if (
+    !post ||
+    !visibility.canSeeContent(post) ||
+    (!isPublished(post) && !viewer?._id.equals(post.user._id))
+  )
+    return res.status(404).json({ error: "Post not found" });
+
+  const [serialized] = await serializePosts(visibility.redact([post]), viewer);
+
+  // only the first page; clients load the rest from
+  // GET /api/comments/post/:postId, passing commentsNextCursor as the cursor
+  const { items: comments, nextCursor } = await paginate(
+    visibility.apply(
+      Comment.find({ post: post._id }).populate(
+        "user",
+        "username firstName lastName profilePicture"
+      )
+    ),
+    getPageParams()
+  );
 
-  res.status(200).json({ post });
+  res.status(200).json({
+    post: {
+      ...serialized,
+      comments: comments.map((comment) => serializeComment(comment, viewer)),
+      commentsNextCursor: nextCursor,
+    },
+  });
 });
 
 export const getUserPosts = asyncHandler(async (req, res) => {
   const { username } = req.params;
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
 
-  const user = await User.findOne({ username });
+  const user = await User.findOne({ username }).collation(USERNAME_COLLATION);
   if (!user) return res.status(404).json({ error: "User not found" });
 
-  const posts = await Post.find({ user: user._id })
-    .sort({ createdAt: -1 })
-    .populate("user", "username firstName lastName profilePicture")
-    .populate({
-      path: "comments",
-      populate: {
-        path: "user",
-        select: "username firstName lastName profilePicture",
-      },
+  const viewer = await getViewer(req);
+
+  // private accounts only show their public fields until a follow is approved
+  if (!canViewProtected(viewer, user))
+    return res.status(200).json({
+      user: toPublicProfile(user),
+      posts: [],
+      nextCursor: null,
+      isRestricted: true,
     });
 
-  res.status(200).json({ posts });
+  const visibility = await getVisibility(viewer);
+  if (!visibility.canSee(user._id))
+    return res.status(403).json({ error: "This account is not available" });
+
+  const { items: posts, nextCursor } = await paginate(
+    populatePost(Post.find({ user: user._id, ...PUBLISHED })),
+    page
+  );
+
+  res.status(200).json({
+    posts: await serializePosts(visibility.redact(posts), viewer),
+    nextCursor,
+  });
 });
 
 export const createPost = asyncHandler(async (req, res) => {
   const { userId } = getAuth(req);
-  const { content } = req.body;
-  const imageFile = req.file;
-
-  if (!content && !imageFile) {
+  const { content, quoteOf } = req.body;
+  const { status, scheduledAt, error } = parsePostStatus(req.body);
+  // "image" is the single-image field older clients send
+  const mediaFiles = [...(req.files?.image ?? []), ...(req.files?.media ?? [])];
+  // alt texts come as repeated "alt" fields in the same order as the files
+  const altTexts = [].concat(req.body.alt ?? []);
+
+  if (!content && mediaFiles.length === 0) {
     return res
       .status(400)
-      .json({ error: "Post must contain either text or image" });
+      .json({ error: "Post must contain either text or media" });
   }
 
+  if (error) return res.status(400).json({ error });
+
+  const { poll, error: pollError } = parsePoll(req.body.poll);
+  if (pollError) return res.status(400).json({ error: pollError });
+
+  if (poll && mediaFiles.length > 0)
+    return res
+      .status(400)
+      .json({ error: "Posts can't have both a poll and media" });
+
+  if (poll && !content?.trim())
+    return res.status(400).json({ error: "A poll needs a question" });
+
   const user = await User.findOne({ clerkId: userId });
   if (!user) return res.status(404).json({ error: "User not found" });
 
-  let imageUrl = "";
-
-  // upload image to Cloudinary if provided
-  if (imageFile) {
-    try {
-      // convert buffer to base64 for cloudinary
-      const base64Image = `data:${
-        imageFile.mimetype
-      };base64,${imageFile.buffer.toString("base64")}`;
-
-      const uploadResponse = await cloudinary.uploader.upload(base64Image, {
-        folder: "social_media_posts",
-        resource_type: "image",
-        transformation: [
-          { width: 800, height: 600, crop: "limit" },
-          { quality: "auto" },
-          { format: "auto" },
-        ],
-      });
-      imageUrl = uploadResponse.secure_url;
-    } catch (uploadError) {
-      console.error("Cloudinary upload error:", uploadError);
-      return res.status(400).json({ error: "Failed to upload image" });
+  let quotedPost = null;
+
+  if (quoteOf) {
+    quotedPost = await findPublishedPost(quoteOf);
+
+    // quoting a repost quotes the post it reshared
+    if (quotedPost?.repostOf)
+      quotedPost = await findPublishedPost(quotedPost.repostOf);
+
+    if (!quotedPost)
+      return res.status(404).json({ error: "Quoted post not found" });
+
+    if (await isBlockedBetween(user, quotedPost.user))
+      return res.status(403).json({ error: "You can't quote this post" });
+
+    if (!canReachContent(user, quotedPost))
+      return res.status(404).json({ error: "Quoted post not found" });
+  }
+
+  const media = [];
+
+  // upload media to storage if provided
+  try {
+    for (const [index, file] of mediaFiles.entries()) {
+      media.push(
+        await uploadMediaItem(file, {
+          folder: "social_media_posts",
+          alt: altTexts[index] || "",
+        })
+      );
     }
+  } catch (uploadError) {
+    console.error("Media upload error:", uploadError);
+    await Promise.allSettled(media.map(removeMediaItem));
+    return res.status(400).json({ error: "Failed to upload media" });
   }
 
+  const video = media.find((item) => item.type === "video");
+  if (video?.duration > MAX_VIDEO_DURATION) {
+    await removeMediaItem(video);
+    return res.status(400).json({
+      error: `Videos can be at most ${MAX_VIDEO_DURATION} seconds long`,
+    });
+  }
+
+  const { hashtags, mentions } = await parseEntities(content);
+
   const post = await Post.create({
     user: user._id,
+    authorIsPrivate: user.isPrivate,
     content: content || "",
-    image: imageUrl,
+    image: media.find((item) => item.type === "image")?.url ?? "",
+    media,
+    quoteOf: quotedPost?._id ?? null,
+    hashtags,
+    mentions,
+    status,
+    scheduledAt,
+    // unpublished polls start running when their post is published
+    poll: poll && {
+      ...poll,
+      endsAt: status === "published" ? getPollEnd(poll) : null,
+    },
   });
 
-  res.status(201).json({ post });
+  // drafts and scheduled posts stay quiet until they're published
+  if (status === "published") await announcePost(post);
+
+  const [serialized] = await serializePosts([post], user);
+  res.status(201).json({ post: serialized });
 });
 
-export const likePost = asyncHandler(async (req, res) => {
+export const editPost = asyncHandler(async (req, res) => {
   const { userId } = getAuth(req);
   const { postId } = req.params;
+  const { content } = req.body;
+
+  if (typeof content !== "string")
+    return res.status(400).json({ error: "Post content is required" });
+
+  if (content.length > MAX_CONTENT_LENGTH)
+    return res.status(400).json({
+      error: `Posts can be at most ${MAX_CONTENT_LENGTH} characters`,
+    });
 
   const user = await User.findOne({ clerkId: userId });
-  const post = await Post.findById(postId);
+  const post = await Post.findById(postId).select("+editHistory");
 
   if (!user || !post)
     return res.status(404).json({ error: "User or post not found" });
 
-  const isLiked = post.likes.includes(user._id);
+  if (post.user.toString() !== user._id.toString())
+    return res.status(403).json({ error: "You can only edit your own posts" });
 
-  if (isLiked) {
-    // unlike
-    await Post.findByIdAndUpdate(postId, {
-      $pull: { likes: user._id },
-    });
-  } else {
-    // like
-    await Post.findByIdAndUpdate(postId, {
-      $push: { likes: user._id },
+  if (post.repostOf)
+    return res.status(400).json({ error: "Reposts can't be edited" });
+
+  if (!content.trim() && post.media.length === 0)
+    return res
+      .status(400)
+      .json({ error: "Post must contain either text or media" });
+
+  if (!content.trim() && post.poll)
+    return res.status(400).json({ error: "A poll needs a question" });
+
+  const { hashtags, mentions } = await parseEntities(content);
+
+  // drafts and scheduled posts aren't public yet, so they change freely
+  if (!isPublished(post)) {
+    const updated = await Post.findOneAndUpdate(
+      { _id: post._id, status: post.status },
+      { $set: { content, hashtags, mentions } },
+      { new: true, runValidators: true }
+    );
+    if (!updated)
+      return res
+        .status(409)
+        .json({ error: "The post was published in the meantime, try again" });
+
+    const [serialized] = await serializePosts([updated], user);
+    return res.status(200).json({ post: serialized });
+  }
+
+  if (Date.now() - post.createdAt > EDIT_WINDOW_MINUTES * 60 * 1000)
+    return res.status(403).json({
+      error: `Posts can only be edited within ${EDIT_WINDOW_MINUTES} minutes`,
     });
 
+  if (post.editHistory.length >= MAX_EDITS)
+    return res
+      .status(403)
+      .json({ error: `Posts can be edited at most ${MAX_EDITS} times` });
+
+  if (content === post.content) {
+    const [{ editHistory, ...unchanged }] = await serializePosts([post], user);
+    return res
+      .status(200)
+      .json({ post: { ...unchanged, editCount: editHistory.length } });
+  }
+
+  // matching on the old content makes concurrent edits fail instead of
+  // silently dropping a version from the history
+  const edited = await Post.findOneAndUpdate(
+    { _id: post._id, content: post.content },
+    {
+      $set: { content, hashtags, mentions, editedAt: new Date() },
+      $push: {
+        editHistory: {
+          content: post.content,
+          hashtags: post.hashtags,
+          createdAt: post.editedAt ?? post.createdAt,
+        },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!edited)
+    return res
+      .status(409)
+      .json({ error: "The post was edited at the same time, try again" });
+
+  // only people newly mentioned hear about it; dropped mentions are taken back
+  const previous = post.mentions.map((id) => id.toString());
+  const current = mentions.map((id) => id.toString());
+
+  await notifyMentions({
+    from: user._id,
+    mentions: mentions.filter((id) => !previous.includes(id.toString())),
+    post: post._id,
+  });
+  await retract({
+    from: user._id,
+    to: { $in: post.mentions.filter((id) => !current.includes(id.toString())) },
+    type: "mention",
+    post: post._id,
+    comment: null,
+  });
+
+  await emitPostEdited(edited);
+
+  // editHistory isn't selected on `edited`; this edit added one entry
+  const [serialized] = await serializePosts([edited], user);
+  res.status(200).json({
+    post: { ...serialized, editCount: post.editHistory.length + 1 },
+  });
+});
+
+// every version of a post, newest first, starting with the current one
+export const getPostHistory = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  const post = await Post.findOne({ _id: postId, ...PUBLISHED }).select(
+    "user authorIsPrivate content hashtags createdAt editedAt +editHistory"
+  );
+
+  const visibility = await getVisibility(await getViewer(req));
+
+  if (!post || !visibility.canSeeContent(post))
+    return res.status(404).json({ error: "Post not found" });
+
+  const versions = [
+    {
+      content: post.content,
+      hashtags: post.hashtags,
+      createdAt: post.editedAt ?? post.createdAt,
+    },
+    ...[...post.editHistory].reverse().map((version) => version.toObject()),
+  ];
+
+  res.status(200).json({ postId: post._id, editedAt: post.editedAt, versions });
+});
+
+// the author's drafts and scheduled posts, ?status=draft|scheduled to filter
+export const getDrafts = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { status } = req.query;
+  const page = getPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  if (status !== undefined && !UNPUBLISHED_STATUSES.includes(status))
+    return res
+      .status(400)
+      .json({ error: "Status must be either draft or scheduled" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const { items: posts, nextCursor } = await paginate(
+    populatePost(
+      Post.find({
+        user: user._id,
+        status: status ?? { $in: UNPUBLISHED_STATUSES },
+      })
+    ),
+    page
+  );
+
+  res
+    .status(200)
+    .json({ posts: await serializePosts(posts, user), nextCursor });
+});
+
+// publishes a draft or scheduled post right away
+export const publishDraft = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const post = await publishPost({ _id: postId, user: user._id });
+  if (!post) return res.status(404).json({ error: "Draft not found" });
+
+  const [serialized] = await serializePosts([post], user);
+  res.status(200).json({ post: serialized });
+});
+
+// (re)schedules a draft or scheduled post; a null scheduledAt turns it back
+// into a draft
+export const schedulePost = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+  const requested = req.body?.scheduledAt ?? null;
+
+  const { status, scheduledAt, error } = parsePostStatus({
+    status: requested === null ? "draft" : "scheduled",
+    scheduledAt: requested,
+  });
+  if (error) return res.status(400).json({ error });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const post = await Post.findOneAndUpdate(
+    {
+      _id: postId,
+      user: user._id,
+      status: { $in: UNPUBLISHED_STATUSES },
+    },
+    {
+      $set: { status, scheduledAt },
+    },
+    { new: true }
+  );
+  if (!post) return res.status(404).json({ error: "Draft not found" });
+
+  const [serialized] = await serializePosts([post], user);
+  res.status(200).json({ post: serialized });
+});
+
+export const votePoll = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+  const option = Number(req.body?.option);
+
+  const user = await User.findOne({ clerkId: userId });
+  const post = await findPublishedPost(postId);
+
+  if (!user || !post)
+    return res.status(404).json({ error: "User or post not found" });
+
+  if (!post.poll)
+    return res.status(400).json({ error: "This post has no poll" });
+
+  if (await isBlockedBetween(user, post.user))
+    return res.status(403).json({ error: "You can't vote in this poll" });
+
+  if (!canReachContent(user, post))
+    return res.status(404).json({ error: "User or post not found" });
+
+  if (
+    !Number.isInteger(option) ||
+    option < 0 ||
+    option >= post.poll.options.length
+  )
+    return res.status(400).json({ error: "Invalid poll option" });
+
+  if (isPollEnded(post.poll))
+    return res.status(400).json({ error: "This poll has ended" });
+
+  try {
+    await PollVote.create({ post: post._id, user: user._id, option });
+  } catch (error) {
+    if (error.code === 11000)
+      return res.status(400).json({ error: "You already voted in this poll" });
+    throw error;
+  }
+
+  const updated = await Post.findByIdAndUpdate(
+    post._id,
+    { $inc: { [`poll.options.${option}.votes`]: 1 } },
+    { new: true }
+  );
+
+  res.status(200).json({
+    poll: serializePoll(updated.poll, {
+      vote: option,
+      isAuthor: updated.user.equals(user._id),
+    }),
+  });
+});
+
+// liking and unliking are idempotent: the filter on each update only lets
+// it through when it changes something, and only a change notifies, so
+// double taps and retries can't duplicate likes or notifications
+export const likePost = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  const post = await findPublishedPost(postId);
+
+  if (!user || !post)
+    return res.status(404).json({ error: "User or post not found" });
+
+  if (await isBlockedBetween(user, post.user))
+    return res.status(403).json({ error: "You can't like this post" });
+
+  if (!canReachContent(user, post))
+    return res.status(404).json({ error: "User or post not found" });
+
+  const { modifiedCount } = await Post.updateOne(
+    { _id: post._id, likes: { $ne: user._id } },
+    { $push: { likes: user._id }, $inc: { likeCount: 1 } }
+  );
+
+  if (modifiedCount) {
     // create notification if not liking own post
-    if (post.user.toString() !== user._id.toString()) {
-      await Notification.create({
+    if (!post.user.equals(user._id)) {
+      await notify({
         from: user._id,
         to: post.user,
         type: "like",
-        post: postId,
+        post: post._id,
       });
     }
+
+    await emitPostCounts(post._id);
   }
 
-  res.status(200).json({
-    message: isLiked ? "Post unliked successfully" : "Post liked successfully",
+  res.status(200).json({ message: "Post liked successfully", liked: true });
+});
+
+export const unlikePost = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  const post = await findPublishedPost(postId);
+
+  if (!user || !post)
+    return res.status(404).json({ error: "User or post not found" });
+
+  const { modifiedCount } = await Post.updateOne(
+    { _id: post._id, likes: user._id },
+    { $pull: { likes: user._id }, $inc: { likeCount: -1 } }
+  );
+
+  if (modifiedCount) {
+    // remove the notification the like created
+    await retract({
+      from: user._id,
+      to: post.user,
+      type: "like",
+      post: post._id,
+      comment: null,
+    });
+
+    await emitPostCounts(post._id);
+  }
+
+  res.status(200).json({ message: "Post unliked successfully", liked: false });
+});
+
+export const repostPost = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  let original = await findPublishedPost(postId);
+
+  // reposting a repost reshares the post it points at
+  if (original?.repostOf) original = await findPublishedPost(original.repostOf);
+
+  if (!user || !original)
+    return res.status(404).json({ error: "User or post not found" });
+
+  if (await isBlockedBetween(user, original.user))
+    return res.status(403).json({ error: "You can't repost this post" });
+
+  if (!canReachContent(user, original))
+    return res.status(404).json({ error: "User or post not found" });
+
+  let repost;
+  try {
+    repost = await Post.create({
+      user: user._id,
+      authorIsPrivate: user.isPrivate,
+      repostOf: original._id,
+    });
+  } catch (error) {
+    if (error.code === 11000)
+      return res.status(400).json({ error: "You already reposted this post" });
+    throw error;
+  }
+
+  await Post.findByIdAndUpdate(original._id, { $inc: { repostCount: 1 } });
+
+  // create notification if not reposting own post
+  if (original.user.toString() !== user._id.toString()) {
+    await notify({
+      from: user._id,
+      to: original.user,
+      type: "repost",
+      post: original._id,
+    });
+  }
+
+  await emitPostCounts(original._id);
+  await emitNewPost(repost);
+
+  res.status(201).json({ post: repost });
+});
+
+export const undoRepost = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { postId } = req.params;
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const repost = await Post.findOneAndDelete({
+    user: user._id,
+    repostOf: postId,
+  });
+  if (!repost) return res.status(404).json({ error: "Repost not found" });
+
+  await Post.findByIdAndUpdate(postId, { $inc: { repostCount: -1 } });
+  await retract({
+    from: user._id,
+    type: "repost",
+    post: postId,
   });
+
+  await emitPostCounts(postId);
+
+  res.status(200).json({ message: "Repost removed successfully" });
 });
 
 export const deletePost = asyncHandler(async (req, res) => {
@@ -162,11 +724,7 @@ export const deletePost = asyncHandler(async (req, res) => {
       .json({ error: "You can only delete your own posts" });
   }
 
-  // delete all comments on this post
-  await Comment.deleteMany({ post: postId });
-
-  // delete the post
-  await Post.findByIdAndDelete(postId);
+  await removePost(post);
 
   res.status(200).json({ message: "Post deleted successfully" });
 });
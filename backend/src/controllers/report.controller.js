@@ -0,0 +1,75 @@
+import asyncHandler from "express-async-handler";
+import { getAuth } from "@clerk/express";
+import Comment from "../models/comment.model.js";
+import Report, { REPORT_REASONS } from "../models/report.model.js";
+import User from "../models/user.model.js";
+import { findPublishedPost } from "../lib/posts.js";
+
+// resolves what is being reported to its model and owner. posts and comments
+// are addressed by _id, users by Clerk id like the other user routes.
+const findReportTarget = async (type, id) => {
+  if (type === "post") {
+    const post = await findPublishedPost(id);
+    return post && { targetType: "Post", target: post._id, owner: post.user };
+  }
+
+  if (type === "comment") {
+    const comment = await Comment.findById(id);
+    return (
+      comment &&
+      !comment.isDeleted && {
+        targetType: "Comment",
+        target: comment._id,
+        owner: comment.user,
+      }
+    );
+  }
+
+  const user = await User.findOne({ clerkId: id });
+  return user && { targetType: "User", target: user._id, owner: user._id };
+};
+
+export const createReport = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { targetType, targetId, reason, details = "" } = req.body;
+
+  if (!["post", "comment", "user"].includes(targetType) || !targetId)
+    return res
+      .status(400)
+      .json({ error: "Report a post, comment or user by its id" });
+
+  if (!REPORT_REASONS.includes(reason))
+    return res.status(400).json({
+      error: `Reason must be one of ${REPORT_REASONS.join(", ")}`,
+    });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  const target = await findReportTarget(targetType, targetId);
+  if (!target)
+    return res.status(404).json({ error: `Reported ${targetType} not found` });
+
+  if (target.owner.equals(user._id))
+    return res.status(400).json({ error: "You can't report yourself" });
+
+  let report;
+  try {
+    report = await Report.create({
+      reporter: user._id,
+      targetType: target.targetType,
+      target: target.target,
+      targetUser: target.owner,
+      reason,
+      details,
+    });
+  } catch (error) {
+    if (error.code === 11000)
+      return res
+        .status(400)
+        .json({ error: `You already reported this ${targetType}` });
+    throw error;
+  }
+
+  res.status(201).json({ report });
+});
@@ -0,0 +1,208 @@
+import asyncHandler from "express-async-handler";
+import Post from "../models/post.model.js";
+import User from "../models/user.model.js";
+import { getOffsetPageParams, toOffsetPage } from "../lib/pagination.js";
+import { PUBLISHED, populatePost, serializePosts } from "../lib/posts.js";
+import { normalizeHashtag } from "../lib/entities.js";
+import { getViewer } from "../lib/viewer.js";
+import { getVisibility } from "../lib/visibility.js";
+
+const SEARCH_TYPES = ["users", "posts", "tags"];
+const TYPEAHEAD_LIMIT = 10;
+const DEFAULT_TRENDING_HOURS = 24;
+const MAX_TRENDING_HOURS = 7 * 24;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getSearchTerms = (q) =>
+  q
+    .split(/\s+/)
+    .map((term) => term.replace(/^[-"#@]+|"+$/g, ""))
+    .filter(Boolean);
+
+// [start, end) ranges of every word starting with one of the search terms
+const highlight = (text = "", terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const pattern = new RegExp(
+    `(?<!\\w)(?:${terms.map(escapeRegex).join("|")})\\w*`,
+    "gi"
+  );
+
+  return [...text.matchAll(pattern)].map((match) => [
+    match.index,
+    match.index + match[0].length,
+  ]);
+};
+
+const searchUsers = async (q, terms, page, visibility) => {
+  const users = await visibility
+    .apply(
+      User.find({ $text: { $search: q } }, { score: { $meta: "textScore" } }),
+      "_id"
+    )
+    .select("username firstName lastName profilePicture bio")
+    .sort({ score: { $meta: "textScore" } })
+    .skip(page.offset)
+    .limit(page.limit + 1);
+
+  const { items, nextCursor } = toOffsetPage(users, page);
+
+  const results = items.map((user) => ({
+    ...user.toObject(),
+    highlights: {
+      username: highlight(user.username, terms),
+      firstName: highlight(user.firstName, terms),
+      lastName: highlight(user.lastName, terms),
+      bio: highlight(user.bio, terms),
+    },
+  }));
+
+  return { results, nextCursor };
+};
+
+const searchPosts = async (q, terms, page, visibility, viewer) => {
+  const posts = await visibility
+    .apply(
+      populatePost(
+        Post.find(
+          { $text: { $search: q }, ...PUBLISHED },
+          { score: { $meta: "textScore" } }
+        )
+      )
+    )
+    .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+    .skip(page.offset)
+    .limit(page.limit + 1);
+
+  const { items, nextCursor } = toOffsetPage(posts, page);
+
+  const serialized = await serializePosts(visibility.redact(items), viewer);
+  const results = serialized.map((post) => ({
+    ...post,
+    highlights: { content: highlight(post.content, terms) },
+  }));
+
+  return { results, nextCursor };
+};
+
+// tags matching the query as a prefix, most used first
+const searchTags = async (q, page) => {
+  const prefix = new RegExp(`^${escapeRegex(normalizeHashtag(q))}`);
+
+  const tags = await Post.aggregate([
+    { $match: { hashtags: prefix, ...PUBLISHED } },
+    { $unwind: "$hashtags" },
+    { $match: { hashtags: prefix } },
+    { $group: { _id: "$hashtags", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $skip: page.offset },
+    { $limit: page.limit + 1 },
+    { $project: { _id: 0, tag: "$_id", count: 1 } },
+  ]);
+
+  const { items, nextCursor } = toOffsetPage(tags, page);
+
+  const results = items.map((tag) => ({
+    ...tag,
+    highlights: { tag: [[0, Math.min(q.length, tag.tag.length)]] },
+  }));
+
+  return { results, nextCursor };
+};
+
+export const search = asyncHandler(async (req, res) => {
+  const q = String(req.query.q ?? "").trim();
+  const type = req.query.type || "posts";
+
+  if (!q) return res.status(400).json({ error: "Search query is required" });
+
+  if (!SEARCH_TYPES.includes(type))
+    return res
+      .status(400)
+      .json({ error: `Search type must be one of ${SEARCH_TYPES.join(", ")}` });
+
+  const page = getOffsetPageParams(req.query);
+  if (!page) return res.status(400).json({ error: "Invalid cursor" });
+
+  const terms = getSearchTerms(q);
+  // private accounts are still findable, only their posts are hidden
+  const viewer = await getViewer(req);
+  const visibility = await getVisibility(viewer, {
+    includePrivate: type !== "users",
+  });
+  let result;
+
+  if (type === "users") result = await searchUsers(q, terms, page, visibility);
+  else if (type === "posts")
+    result = await searchPosts(q, terms, page, visibility, viewer);
+  else result = await searchTags(q.replace(/^#/, ""), page);
+
+  res.status(200).json({ type, q, ...result });
+});
+
+// username prefix lookup for @mention autocomplete
+export const typeahead = asyncHandler(async (req, res) => {
+  const q = String(req.query.q ?? "")
+    .trim()
+    .replace(/^@/, "");
+  if (!q) return res.status(200).json({ users: [] });
+
+  const visibility = await getVisibility(await getViewer(req), {
+    includePrivate: false,
+  });
+
+  const users = await visibility
+    .apply(
+      User.find({
+        username: { $regex: `^${escapeRegex(q)}`, $options: "i" },
+      }),
+      "_id"
+    )
+    .select("username firstName lastName profilePicture")
+    .sort({ username: 1 })
+    .limit(TYPEAHEAD_LIMIT);
+
+  res.status(200).json({ users });
+});
+
+// hashtag counts over a sliding window, ranked by how many distinct
+// accounts used the tag so a single spammer can't trend on their own
+export const getTrendingHashtags = asyncHandler(async (req, res) => {
+  const hours = Math.min(
+    Math.max(parseInt(req.query.hours, 10) || DEFAULT_TRENDING_HOURS, 1),
+    MAX_TRENDING_HOURS
+  );
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const hashtags = await Post.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since },
+        "hashtags.0": { $exists: true },
+        ...PUBLISHED,
+      },
+    },
+    { $unwind: "$hashtags" },
+    {
+      $group: {
+        _id: "$hashtags",
+        count: { $sum: 1 },
+        authors: { $addToSet: "$user" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        tag: "$_id",
+        count: 1,
+        authorCount: { $size: "$authors" },
+      },
+    },
+    { $sort: { authorCount: -1, count: -1, tag: 1 } },
+    { $limit: limit },
+  ]);
+
+  res.status(200).json({ hashtags, hours });
+});
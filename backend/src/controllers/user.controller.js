@@ -1,26 +1,149 @@
 import asyncHandler from "express-async-handler";
-import User from "../models/user.model.js";
-import Notification from "../models/notification.model.js";
+import User, { USERNAME_COLLATION } from "../models/user.model.js";
+import { notify, retract } from "../lib/notifier.js";
 import { clerkClient, getAuth } from "@clerk/express";
+import {
+  canViewProtected,
+  getVisibility,
+  isBlockedBetween,
+  syncAuthorPrivacy,
+  toProfile,
+  toPublicProfile,
+} from "../lib/visibility.js";
+import {
+  USER_CARD_FIELDS,
+  getFollowSuggestions,
+  toUserCards,
+} from "../lib/follows.js";
+import { getOffsetPageParams, toOffsetPage } from "../lib/pagination.js";
+import { getViewer } from "../lib/viewer.js";
+import { NOTIFICATION_TYPES } from "../models/notification.model.js";
+import { removeImage, uploadProfileImage } from "../lib/media.js";
+import { fromClerkUser, upsertClerkUser } from "../lib/clerkUsers.js";
+import {
+  DELETION_GRACE_DAYS,
+  EXPORT_COOLDOWN_MINUTES,
+  createDataExport,
+} from "../lib/accounts.js";
+import DataExport from "../models/dataExport.model.js";
+import { ENV } from "../config/env.js";
+import {
+  USERNAME_COOLDOWN_DAYS,
+  getNextUsernameChange,
+  isUsernameTaken,
+  validateProfileUpdate,
+} from "../lib/profile.js";
 
 export const getUserProfile = asyncHandler(async (req, res) => {
   const { username } = req.params;
-  const user = await User.findOne({ username });
+  const user = await User.findOne({ username }).collation(USERNAME_COLLATION);
   if (!user) return res.status(400).json({ message: "User not found!" });
 
-  res.status(200).json({ user });
+  const viewer = await getViewer(req);
+
+  // private accounts only show their public fields until a follow is approved
+  if (!canViewProtected(viewer, user))
+    return res
+      .status(200)
+      .json({ user: toPublicProfile(user), isRestricted: true });
+
+  // everything else is only for the account owner
+  const isOwner = viewer?._id.equals(user._id);
+
+  res.status(200).json({
+    user: isOwner ? user : toProfile(user),
+    isRestricted: false,
+  });
 });
 
 export const updateProfile = asyncHandler(async (req, res) => {
   const { userId } = getAuth(req);
-  const user = await User.findOneAndUpdate({ clerkId: userId }, req.body, {
-    new: true,
-  });
+
+  const { update, error } = validateProfileUpdate(req.body);
+  if (error) return res.status(400).json({ message: `${error}!` });
+
+  const user = await User.findOne({ clerkId: userId });
   if (!user) return res.status(404).json({ message: "User not found!" });
 
-  res.status(200).json({ user });
+  if (update.username !== undefined && update.username !== user.username) {
+    const nextChangeAt = getNextUsernameChange(user);
+    if (nextChangeAt)
+      return res.status(400).json({
+        message: `You can only change your username once every ${USERNAME_COOLDOWN_DAYS} days!`,
+        nextChangeAt,
+      });
+
+    if (await isUsernameTaken(update.username, user._id))
+      return res.status(409).json({ message: "Username is already taken!" });
+
+    update.usernameChangedAt = new Date();
+  } else {
+    delete update.username;
+  }
+
+  let updatedUser;
+  try {
+    updatedUser = await User.findByIdAndUpdate(
+      user._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    // lost a race for the same username
+    if (error.code === 11000)
+      return res.status(409).json({ message: "Username is already taken!" });
+    throw error;
+  }
+
+  if (updatedUser.isPrivate !== user.isPrivate)
+    await syncAuthorPrivacy(user._id, updatedUser.isPrivate);
+
+  res.status(200).json({ user: updatedUser });
 });
 
+// field is "profilePicture" or "bannerImage"; the storage id sits next to it
+const replaceProfileImage = (field) =>
+  asyncHandler(async (req, res) => {
+    const { userId } = getAuth(req);
+
+    if (!req.file)
+      return res.status(400).json({ message: "An image file is required!" });
+
+    const user = await User.findOne({ clerkId: userId });
+    if (!user) return res.status(404).json({ message: "User not found!" });
+
+    let uploaded;
+    try {
+      uploaded = await uploadProfileImage(req.file, field);
+    } catch (uploadError) {
+      console.error("Profile image upload error:", uploadError);
+      return res.status(400).json({ message: "Failed to upload image!" });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      user._id,
+      { $set: { [field]: uploaded.url, [`${field}Id`]: uploaded.publicId } },
+      { new: true }
+    );
+
+    // the old image is only ours to delete if it was uploaded here
+    const previousId = user[`${field}Id`];
+    if (previousId) {
+      try {
+        await removeImage(previousId);
+      } catch (removeError) {
+        console.error("Failed to delete replaced image:", removeError);
+      }
+    }
+
+    res.status(200).json({ user: updatedUser });
+  });
+
+export const uploadProfilePicture = replaceProfileImage("profilePicture");
+export const uploadBannerImage = replaceProfileImage("bannerImage");
+
+// the Clerk webhook normally creates the user first; this covers clients
+// that sign in before it arrives
 export const syncUser = asyncHandler(async (req, res) => {
   const { userId } = getAuth(req);
 
@@ -33,16 +156,10 @@ export const syncUser = asyncHandler(async (req, res) => {
 
   const clerkUser = await clerkClient.users.getUser(userId);
 
-  const userData = {
-    clerkId: userId,
-    email: clerkUser.emailAddresses[0].emailAddress,
-    firstName: clerkUser.firstName || "",
-    lastName: clerkUser.lastName || "",
-    username: clerkUser.emailAddresses[0].emailAddress.split("@")[0],
-    profilePicture: clerkUser.imageUrl || "",
-  };
+  const { user, created } = await upsertClerkUser(fromClerkUser(clerkUser));
 
-  const user = await User.create(userData);
+  if (!created)
+    return res.status(200).json({ user, message: "User already exists!" });
 
   res.status(201).json({ user, message: "User created!" });
 });
@@ -57,44 +174,591 @@ export const getCurrentUser = asyncHandler(async (req, res) => {
   res.status(200).json({ user });
 });
 
-export const followUser = asyncHandler(async (req, res) => {
+export const requestDataExport = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  // building an archive reads everything the user has, so don't let it spin
+  const recent = await DataExport.findOne({
+    user: user._id,
+    createdAt: {
+      $gt: new Date(Date.now() - EXPORT_COOLDOWN_MINUTES * 60 * 1000),
+    },
+  });
+  if (recent)
+    return res.status(429).json({
+      message: `You can request one export every ${EXPORT_COOLDOWN_MINUTES} minutes!`,
+      expiresAt: recent.expiresAt,
+    });
+
+  const dataExport = await createDataExport(user);
+
+  res.status(201).json({
+    url: `${ENV.PUBLIC_URL || ""}/api/users/exports/${dataExport.token}`,
+    expiresAt: dataExport.expiresAt,
+  });
+});
+
+// the token is the credential, so the link works from a plain browser
+export const downloadDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await DataExport.findOne({
+    token: req.params.token,
+    expiresAt: { $gt: new Date() },
+  }).populate("user", "username");
+  if (!dataExport)
+    return res
+      .status(404)
+      .json({ message: "This export link is invalid or has expired!" });
+
+  const name = dataExport.user?.username ?? "account";
+  res
+    .status(200)
+    .set({
+      "Content-Type": "application/gzip",
+      "Content-Disposition": `attachment; filename="${name}-export.json.gz"`,
+      "Cache-Control": "no-store",
+    })
+    .send(dataExport.archive);
+});
+
+export const requestAccountDeletion = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  if (user.deletionScheduledAt)
+    return res.status(200).json({
+      message: "Account deletion is already scheduled!",
+      deletionScheduledAt: user.deletionScheduledAt,
+    });
+
+  const deletionScheduledAt = new Date(
+    Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+  await User.updateOne({ _id: user._id }, { deletionScheduledAt });
+
+  res.status(202).json({
+    message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days!`,
+    deletionScheduledAt,
+  });
+});
+
+export const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  // only while the grace period runs; once it's over the purge may be underway
+  const user = await User.findOneAndUpdate(
+    { clerkId: userId, deletionScheduledAt: { $gt: new Date() } },
+    { deletionScheduledAt: null },
+    { new: true }
+  );
+  if (!user)
+    return res
+      .status(400)
+      .json({ message: "No account deletion is scheduled!" });
+
+  res.status(200).json({ user, message: "Account deletion cancelled!" });
+});
+
+// loads both sides of a follow; `error` is set when there is nothing to do
+const findFollowPair = async (req) => {
   const { userId } = getAuth(req);
   const { targetUserId } = req.params;
 
   if (userId === targetUserId)
-    return res.status(404).json({ message: "You can't follow yourself!" });
+    return { error: { status: 404, message: "You can't follow yourself!" } };
 
   const currentUser = await User.findOne({ clerkId: userId });
   const targetUser = await User.findOne({ clerkId: targetUserId });
 
   if (!currentUser || !targetUser)
-    return res.status(404).json({ message: "User not found!" });
+    return { error: { status: 404, message: "User not found!" } };
 
-  const isFollowing = currentUser.following.includes(targetUserId);
+  return { currentUser, targetUser };
+};
 
-  if (isFollowing) {
-    await User.findByIdAndUpdate(currentUser._id, {
-      $pull: { following: targetUserId },
-    });
-    await User.findByIdAndUpdate(targetUser._id, {
-      $pull: { followers: userId },
+// following and unfollowing are idempotent: every update is filtered so it
+// only goes through when it changes something, and only a change notifies
+export const followUser = asyncHandler(async (req, res) => {
+  const { currentUser, targetUser, error } = await findFollowPair(req);
+  if (error) return res.status(error.status).json({ message: error.message });
+
+  if (await isBlockedBetween(currentUser, targetUser._id))
+    return res.status(403).json({ message: "You can't follow this user!" });
+
+  const isFollowing = currentUser.following.some((id) =>
+    id.equals(targetUser._id)
+  );
+
+  // private accounts approve followers first
+  if (!isFollowing && targetUser.isPrivate) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: targetUser._id, followRequests: { $ne: currentUser._id } },
+      { $addToSet: { followRequests: currentUser._id } }
+    );
+    if (modifiedCount)
+      await notify({
+        from: currentUser._id,
+        to: targetUser._id,
+        type: "follow_request",
+      });
+
+    return res
+      .status(200)
+      .json({ message: "Follow request sent!", following: false });
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: currentUser._id, following: { $ne: targetUser._id } },
+    { $addToSet: { following: targetUser._id } }
+  );
+  // always, so an edge left half-written by an earlier failure is completed
+  await User.updateOne(
+    { _id: targetUser._id },
+    { $addToSet: { followers: currentUser._id } }
+  );
+
+  if (modifiedCount)
+    await notify({
+      from: currentUser._id,
+      to: targetUser._id,
+      type: "follow",
     });
-  } else {
-    await User.findByIdAndUpdate(currentUser._id, {
-      $push: { following: targetUserId },
+
+  res.status(200).json({ message: "User followed!", following: true });
+});
+
+// also withdraws a pending follow request
+export const unfollowUser = asyncHandler(async (req, res) => {
+  const { currentUser, targetUser, error } = await findFollowPair(req);
+  if (error) return res.status(error.status).json({ message: error.message });
+
+  const unfollowed = await User.updateOne(
+    { _id: currentUser._id, following: targetUser._id },
+    { $pull: { following: targetUser._id } }
+  );
+  await User.updateOne(
+    { _id: targetUser._id },
+    { $pull: { followers: currentUser._id } }
+  );
+
+  // remove the notification the follow created
+  if (unfollowed.modifiedCount)
+    await retract({
+      from: currentUser._id,
+      to: targetUser._id,
+      type: "follow",
     });
-    await User.findByIdAndUpdate(targetUser._id, {
-      $push: { followers: userId },
+
+  const withdrawn = await User.updateOne(
+    { _id: targetUser._id, followRequests: currentUser._id },
+    { $pull: { followRequests: currentUser._id } }
+  );
+
+  if (withdrawn.modifiedCount) {
+    await retract({
+      from: currentUser._id,
+      to: targetUser._id,
+      type: "follow_request",
     });
+
+    return res
+      .status(200)
+      .json({ message: "Follow request cancelled!", following: false });
   }
 
-  await Notification.create({
+  res.status(200).json({ message: "User unfollowed!", following: false });
+});
+
+const MAX_SUGGESTIONS = 30;
+const DEFAULT_SUGGESTIONS = 10;
+
+// pages through one side of a user's follow graph, most recent edges first
+const getFollowList = (side) =>
+  asyncHandler(async (req, res) => {
+    const { username } = req.params;
+    const page = getOffsetPageParams(req.query);
+    if (!page) return res.status(400).json({ message: "Invalid cursor!" });
+
+    const user = await User.findOne({ username }).collation(USERNAME_COLLATION);
+    if (!user) return res.status(404).json({ message: "User not found!" });
+
+    const viewer = await getViewer(req);
+
+    if (!canViewProtected(viewer, user))
+      return res.status(200).json({
+        user: toPublicProfile(user),
+        users: [],
+        nextCursor: null,
+        isRestricted: true,
+      });
+
+    const visibility = await getVisibility(viewer, { includePrivate: false });
+    if (!visibility.canSee(user._id))
+      return res
+        .status(403)
+        .json({ message: "This account is not available!" });
+
+    // edges are appended as they're made, so the newest sit at the end
+    const ids = user[side]
+      .filter((id) => visibility.canSee(id))
+      .reverse()
+      .slice(page.offset, page.offset + page.limit + 1);
+
+    const { items, nextCursor } = toOffsetPage(ids, page);
+
+    const users = await User.find({ _id: { $in: items } }).select(
+      USER_CARD_FIELDS
+    );
+    const byId = new Map(users.map((entry) => [entry._id.toString(), entry]));
+
+    res.status(200).json({
+      users: toUserCards(
+        items.map((id) => byId.get(id.toString())).filter(Boolean),
+        viewer
+      ),
+      nextCursor,
+      isRestricted: false,
+    });
+  });
+
+export const getFollowers = getFollowList("followers");
+export const getFollowing = getFollowList("following");
+
+export const getSuggestions = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_SUGGESTIONS, 1),
+    MAX_SUGGESTIONS
+  );
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  // private accounts can still be suggested, they just get a follow request
+  const visibility = await getVisibility(user, {
+    includeMuted: true,
+    includePrivate: false,
+  });
+
+  const users = await getFollowSuggestions(user, visibility, limit);
+
+  res.status(200).json({ users });
+});
+
+export const getFollowRequests = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  const user = await User.findOne({ clerkId: userId }).populate(
+    "followRequests",
+    "clerkId username firstName lastName profilePicture"
+  );
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  res.status(200).json({ users: user.followRequests });
+});
+
+export const approveFollowRequest = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { requesterId } = req.params;
+
+  const currentUser = await User.findOne({ clerkId: userId });
+  const requester = await User.findOne({ clerkId: requesterId });
+
+  if (!currentUser || !requester)
+    return res.status(404).json({ message: "User not found!" });
+
+  // only act on requests that are still pending
+  const updated = await User.findOneAndUpdate(
+    { _id: currentUser._id, followRequests: requester._id },
+    {
+      $pull: { followRequests: requester._id },
+      $addToSet: { followers: requester._id },
+    }
+  );
+  if (!updated)
+    return res.status(404).json({ message: "Follow request not found!" });
+
+  await User.findByIdAndUpdate(requester._id, {
+    $addToSet: { following: currentUser._id },
+  });
+
+  await retract({
+    from: requester._id,
+    to: currentUser._id,
+    type: "follow_request",
+  });
+  await notify({
     from: currentUser._id,
-    to: targetUser._id,
-    type: "follow",
+    to: requester._id,
+    type: "follow_accept",
   });
 
-  res
-    .status(200)
-    .json({ message: isFollowing ? "User unfollowed!" : "User followed!" });
+  res.status(200).json({ message: "Follow request approved!" });
+});
+
+export const rejectFollowRequest = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { requesterId } = req.params;
+
+  const currentUser = await User.findOne({ clerkId: userId });
+  const requester = await User.findOne({ clerkId: requesterId });
+
+  if (!currentUser || !requester)
+    return res.status(404).json({ message: "User not found!" });
+
+  const updated = await User.findOneAndUpdate(
+    { _id: currentUser._id, followRequests: requester._id },
+    { $pull: { followRequests: requester._id } }
+  );
+  if (!updated)
+    return res.status(404).json({ message: "Follow request not found!" });
+
+  await retract({
+    from: requester._id,
+    to: currentUser._id,
+    type: "follow_request",
+  });
+
+  res.status(200).json({ message: "Follow request rejected!" });
+});
+
+export const getBlockedUsers = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  const user = await User.findOne({ clerkId: userId }).populate(
+    "blocked",
+    "clerkId username firstName lastName profilePicture"
+  );
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  res.status(200).json({ users: user.blocked });
+});
+
+export const blockUser = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { targetUserId } = req.params;
+
+  if (userId === targetUserId)
+    return res.status(400).json({ message: "You can't block yourself!" });
+
+  const currentUser = await User.findOne({ clerkId: userId });
+  const targetUser = await User.findOne({ clerkId: targetUserId });
+
+  if (!currentUser || !targetUser)
+    return res.status(404).json({ message: "User not found!" });
+
+  // a block severs follow edges and pending requests in both directions
+  await User.findByIdAndUpdate(currentUser._id, {
+    $addToSet: { blocked: targetUser._id },
+    $pull: {
+      following: targetUser._id,
+      followers: targetUser._id,
+      followRequests: targetUser._id,
+    },
+  });
+  await User.findByIdAndUpdate(targetUser._id, {
+    $pull: {
+      following: currentUser._id,
+      followers: currentUser._id,
+      followRequests: currentUser._id,
+    },
+  });
+
+  res.status(200).json({ message: "User blocked!" });
+});
+
+export const unblockUser = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { targetUserId } = req.params;
+
+  const currentUser = await User.findOne({ clerkId: userId });
+  const targetUser = await User.findOne({ clerkId: targetUserId });
+
+  if (!currentUser || !targetUser)
+    return res.status(404).json({ message: "User not found!" });
+
+  await User.findByIdAndUpdate(currentUser._id, {
+    $pull: { blocked: targetUser._id },
+  });
+
+  res.status(200).json({ message: "User unblocked!" });
+});
+
+export const getMutedUsers = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  const user = await User.findOne({ clerkId: userId }).populate(
+    "muted",
+    "clerkId username firstName lastName profilePicture"
+  );
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  res.status(200).json({ users: user.muted });
+});
+
+export const muteUser = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { targetUserId } = req.params;
+
+  if (userId === targetUserId)
+    return res.status(400).json({ message: "You can't mute yourself!" });
+
+  const currentUser = await User.findOne({ clerkId: userId });
+  const targetUser = await User.findOne({ clerkId: targetUserId });
+
+  if (!currentUser || !targetUser)
+    return res.status(404).json({ message: "User not found!" });
+
+  await User.findByIdAndUpdate(currentUser._id, {
+    $addToSet: { muted: targetUser._id },
+  });
+
+  res.status(200).json({ message: "User muted!" });
+});
+
+export const unmuteUser = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { targetUserId } = req.params;
+
+  const currentUser = await User.findOne({ clerkId: userId });
+  const targetUser = await User.findOne({ clerkId: targetUserId });
+
+  if (!currentUser || !targetUser)
+    return res.status(404).json({ message: "User not found!" });
+
+  await User.findByIdAndUpdate(currentUser._id, {
+    $pull: { muted: targetUser._id },
+  });
+
+  res.status(200).json({ message: "User unmuted!" });
+});
+
+const EXPO_TOKEN_REGEX = /^Expo(nent)?PushToken\[.+\]$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const registerPushToken = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { token, deviceId, platform = "" } = req.body;
+
+  if (!token || !EXPO_TOKEN_REGEX.test(token) || !deviceId)
+    return res
+      .status(400)
+      .json({ message: "A valid Expo push token and device id are required!" });
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  // a device only delivers for whoever signed in on it last
+  await User.updateMany(
+    { "pushTokens.token": token },
+    { $pull: { pushTokens: { token } } }
+  );
+  await User.findByIdAndUpdate(user._id, {
+    $pull: { pushTokens: { deviceId } },
+  });
+  await User.findByIdAndUpdate(user._id, {
+    $push: { pushTokens: { token, deviceId, platform, updatedAt: new Date() } },
+  });
+
+  res.status(200).json({ message: "Push token registered!" });
+});
+
+export const unregisterPushToken = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { deviceId } = req.params;
+
+  const user = await User.findOneAndUpdate(
+    { clerkId: userId },
+    { $pull: { pushTokens: { deviceId } } }
+  );
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  res.status(200).json({ message: "Push token removed!" });
+});
+
+export const getNotificationPreferences = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+
+  const user = await User.findOne({ clerkId: userId });
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  // every type is listed, the ones never changed default to on
+  const push = Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      user.pushPreferences.get(type) !== false,
+    ])
+  );
+
+  res.status(200).json({ push, quietHours: user.quietHours });
+});
+
+export const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const { userId } = getAuth(req);
+  const { push = {}, quietHours } = req.body;
+
+  const update = {};
+
+  for (const [type, enabled] of Object.entries(push)) {
+    if (!NOTIFICATION_TYPES.includes(type) || typeof enabled !== "boolean")
+      return res
+        .status(400)
+        .json({ message: `Invalid push preference: ${type}` });
+
+    update[`pushPreferences.${type}`] = enabled;
+  }
+
+  if (quietHours) {
+    const { enabled, start, end, timezone } = quietHours;
+
+    if (enabled !== undefined && typeof enabled !== "boolean")
+      return res.status(400).json({ message: "Invalid quiet hours setting!" });
+    if (
+      [start, end].some((time) => time !== undefined && !TIME_REGEX.test(time))
+    )
+      return res
+        .status(400)
+        .json({ message: "Quiet hours must use the HH:MM format!" });
+    if (timezone !== undefined && !isValidTimezone(timezone))
+      return res.status(400).json({ message: "Invalid timezone!" });
+
+    for (const [key, value] of Object.entries({
+      enabled,
+      start,
+      end,
+      timezone,
+    })) {
+      if (value !== undefined) update[`quietHours.${key}`] = value;
+    }
+  }
+
+  const user = await User.findOneAndUpdate(
+    { clerkId: userId },
+    { $set: update },
+    { new: true }
+  );
+  if (!user) return res.status(404).json({ message: "User not found!" });
+
+  res.status(200).json({
+    push: Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [
+        type,
+        user.pushPreferences.get(type) !== false,
+      ])
+    ),
+    quietHours: user.quietHours,
+  });
 });
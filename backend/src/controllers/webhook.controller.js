@@ -0,0 +1,35 @@
+import asyncHandler from "express-async-handler";
+import { verifyWebhook } from "@clerk/express/webhooks";
+import { ENV } from "../config/env.js";
+import { queueAccountPurge } from "../lib/accounts.js";
+import { fromWebhookUser, upsertClerkUser } from "../lib/clerkUsers.js";
+
+// Clerk signs its webhooks through Svix; the raw body is needed to check it
+export const handleClerkWebhook = asyncHandler(async (req, res) => {
+  let event;
+  try {
+    event = await verifyWebhook(req, {
+      signingSecret: ENV.CLERK_WEBHOOK_SIGNING_SECRET,
+    });
+  } catch (error) {
+    console.error("Rejected Clerk webhook:", error.message);
+    return res.status(400).json({ error: "Invalid webhook signature" });
+  }
+
+  switch (event.type) {
+    case "user.created":
+    case "user.updated":
+      await upsertClerkUser(fromWebhookUser(event.data));
+      break;
+
+    // purging can take a while, so it's left to the scheduler rather than
+    // holding up the response until Clerk times out and retries
+    case "user.deleted":
+      await queueAccountPurge(event.data.id);
+      break;
+
+    // other event types are acknowledged so Clerk doesn't retry them
+  }
+
+  res.status(200).json({ received: true });
+});
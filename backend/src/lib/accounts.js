@@ -0,0 +1,238 @@
+import { randomBytes } from "node:crypto";
+import { promisify } from "node:util";
+import { gzip } from "node:zlib";
+import { clerkClient } from "@clerk/express";
+import Bookmark from "../models/bookmark.model.js";
+import Comment from "../models/comment.model.js";
+import Conversation from "../models/conversation.model.js";
+import DataExport from "../models/dataExport.model.js";
+import List from "../models/list.model.js";
+import Notification from "../models/notification.model.js";
+import PollVote from "../models/pollVote.model.js";
+import Post from "../models/post.model.js";
+import PushTicket from "../models/pushTicket.model.js";
+import User from "../models/user.model.js";
+import { removeImage } from "./media.js";
+import { removeComment, removeMessages, removePost } from "./removal.js";
+
+const gzipAsync = promisify(gzip);
+
+export const DELETION_GRACE_DAYS = 30;
+export const EXPORT_LINK_HOURS = 24;
+// how often a user can ask for a fresh export
+export const EXPORT_COOLDOWN_MINUTES = 60;
+
+// accounts purged per scheduler run
+const DELETION_BATCH_SIZE = 10;
+// a claimed account that fails to purge is picked up again after this
+const DELETION_RETRY_MS = 60 * 60 * 1000;
+
+// removes a user and everything that is theirs. content others replied to
+// survives as tombstones, likes and votes are taken back anonymously.
+export const purgeUser = async (user) => {
+  for await (const post of Post.find({ user: user._id })) {
+    await removePost(post);
+  }
+
+  // the deepest replies go first so their parents can be cleaned up after.
+  // each one is re-read since removing a reply changes its parent.
+  const comments = await Comment.find({ user: user._id, isDeleted: false })
+    .sort({ depth: -1 })
+    .select("_id");
+  for (const { _id } of comments) {
+    const comment = await Comment.findById(_id);
+    if (comment) await removeComment(comment);
+  }
+
+  await Post.updateMany(
+    { likes: user._id },
+    { $pull: { likes: user._id }, $inc: { likeCount: -1 } }
+  );
+  await Comment.updateMany({ likes: user._id }, { $pull: { likes: user._id } });
+  const votes = await PollVote.find({ user: user._id }).select("post option");
+  if (votes.length)
+    await Post.bulkWrite(
+      votes.map(({ post, option }) => ({
+        updateOne: {
+          filter: { _id: post },
+          update: { $inc: { [`poll.options.${option}.votes`]: -1 } },
+        },
+      }))
+    );
+  await PollVote.deleteMany({ user: user._id });
+
+  await Notification.deleteMany({
+    $or: [{ from: user._id }, { to: user._id }],
+  });
+
+  // follow edges, requests, blocks and mutes in every direction
+  await User.updateMany(
+    {
+      $or: [
+        { followers: user._id },
+        { following: user._id },
+        { followRequests: user._id },
+        { blocked: user._id },
+        { muted: user._id },
+      ],
+    },
+    {
+      $pull: {
+        followers: user._id,
+        following: user._id,
+        followRequests: user._id,
+        blocked: user._id,
+        muted: user._id,
+      },
+    }
+  );
+
+  await Bookmark.deleteMany({ user: user._id });
+  await List.deleteMany({ owner: user._id });
+  await List.updateMany(
+    { members: user._id },
+    { $pull: { members: user._id } }
+  );
+
+  // the other side keeps their conversations, minus this user's messages
+  await removeMessages({ sender: user._id });
+  await Conversation.updateMany(
+    { participants: user._id },
+    { $pull: { participants: user._id, readState: { user: user._id } } }
+  );
+  // conversations nobody is left in go with whatever was said in them
+  const emptied = await Conversation.find({
+    participants: { $size: 0 },
+  }).distinct("_id");
+  await removeMessages({ conversation: { $in: emptied } });
+  await Conversation.deleteMany({ _id: { $in: emptied } });
+
+  await PushTicket.deleteMany({ user: user._id });
+
+  for (const publicId of [user.profilePictureId, user.bannerImageId]) {
+    if (!publicId) continue;
+    try {
+      await removeImage(publicId);
+    } catch (error) {
+      console.error("Failed to delete profile image:", error);
+    }
+  }
+
+  await User.findByIdAndDelete(user._id);
+};
+
+const usernames = async (ids) =>
+  (
+    await User.find({ _id: { $in: ids } })
+      .select("username")
+      .lean()
+  ).map((user) => user.username);
+
+// everything a user has put into or received from the app, as plain JSON
+const collectUserData = async (user) => {
+  const {
+    pushTokens,
+    followers,
+    following,
+    followRequests,
+    blocked,
+    muted,
+    ...profile
+  } = user.toObject();
+
+  const [posts, comments, likedPosts, likedComments, notifications] =
+    await Promise.all([
+      Post.find({ user: user._id })
+        .select("+editHistory")
+        .sort({ createdAt: -1 })
+        .lean(),
+      Comment.find({ user: user._id, isDeleted: false })
+        .select("-likes")
+        .sort({ createdAt: -1 })
+        .lean(),
+      Post.find({ likes: user._id }).select("_id content createdAt").lean(),
+      Comment.find({ likes: user._id })
+        .select("_id post content createdAt")
+        .lean(),
+      Notification.find({ to: user._id })
+        .populate("from", "username")
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    followers: await usernames(followers),
+    following: await usernames(following),
+    posts,
+    comments,
+    likes: { posts: likedPosts, comments: likedComments },
+    notifications,
+  };
+};
+
+// builds the archive and stores it behind a random, expiring token
+export const createDataExport = async (user) => {
+  const data = await collectUserData(user);
+
+  return DataExport.create({
+    user: user._id,
+    token: randomBytes(32).toString("hex"),
+    archive: await gzipAsync(JSON.stringify(data, null, 2)),
+    expiresAt: new Date(Date.now() + EXPORT_LINK_HOURS * 60 * 60 * 1000),
+  });
+};
+
+// the Clerk account goes first so the user can't sign back in mid-purge.
+// the user.deleted webhook this triggers leaves the claimed account alone.
+export const deleteAccount = async (user) => {
+  try {
+    await clerkClient.users.deleteUser(user.clerkId);
+  } catch (error) {
+    // already gone on Clerk's side
+    if (error.status !== 404) throw error;
+  }
+
+  await purgeUser(user);
+};
+
+// for users deleted on Clerk's side: queues the purge for the next scheduler
+// run. accounts claimed by a run (due within DELETION_RETRY_MS) are being
+// purged already, which is also where deleteAccount's own webhook lands.
+export const queueAccountPurge = (clerkId) =>
+  User.updateOne(
+    {
+      clerkId,
+      $or: [
+        { deletionScheduledAt: null },
+        {
+          deletionScheduledAt: {
+            $gt: new Date(Date.now() + DELETION_RETRY_MS),
+          },
+        },
+      ],
+    },
+    { $set: { deletionScheduledAt: new Date() } }
+  );
+
+// purges accounts whose grace period is over. each one is claimed by moving
+// its deletion date forward, so several instances never purge the same
+// account and a failed purge is retried later.
+export const deleteDueAccounts = async () => {
+  let deleted = 0;
+
+  while (deleted < DELETION_BATCH_SIZE) {
+    const user = await User.findOneAndUpdate(
+      { deletionScheduledAt: { $lte: new Date() } },
+      { deletionScheduledAt: new Date(Date.now() + DELETION_RETRY_MS) },
+      { new: true }
+    );
+    if (!user) break;
+
+    await deleteAccount(user);
+    deleted += 1;
+  }
+
+  return deleted;
+};
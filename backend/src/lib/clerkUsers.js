@@ -0,0 +1,85 @@
+import User from "../models/user.model.js";
+import { generateUsername } from "./profile.js";
+
+const USERNAME_ATTEMPTS = 3;
+
+// webhook payloads use Clerk's snake_case API shape
+export const fromWebhookUser = (data) => {
+  const primary =
+    data.email_addresses?.find(
+      (email) => email.id === data.primary_email_address_id
+    ) ?? data.email_addresses?.[0];
+
+  return {
+    clerkId: data.id,
+    email: primary?.email_address ?? "",
+    firstName: data.first_name ?? "",
+    lastName: data.last_name ?? "",
+    username: data.username ?? "",
+    imageUrl: data.image_url ?? "",
+  };
+};
+
+// clerkClient.users.getUser returns the camelCase SDK shape
+export const fromClerkUser = (clerkUser) => ({
+  clerkId: clerkUser.id,
+  email:
+    clerkUser.primaryEmailAddress?.emailAddress ??
+    clerkUser.emailAddresses[0]?.emailAddress ??
+    "",
+  firstName: clerkUser.firstName ?? "",
+  lastName: clerkUser.lastName ?? "",
+  username: clerkUser.username ?? "",
+  imageUrl: clerkUser.imageUrl ?? "",
+});
+
+// creates or refreshes the local copy of a Clerk user. the username is only
+// picked on creation; after that it belongs to the user (see updateProfile).
+// returns { user, created }.
+export const upsertClerkUser = async (profile) => {
+  const existing = await User.findOne({ clerkId: profile.clerkId });
+
+  if (existing) {
+    const update = { lastName: profile.lastName };
+    if (profile.email) update.emails = profile.email;
+    if (profile.firstName) update.firstName = profile.firstName;
+    // an uploaded picture wins over the Clerk avatar
+    if (!existing.profilePictureId) update.profilePicture = profile.imageUrl;
+
+    const user = await User.findByIdAndUpdate(existing._id, update, {
+      new: true,
+      runValidators: true,
+    });
+    return { user, created: false };
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const username = await generateUsername([
+      profile.username,
+      profile.email.split("@")[0],
+      `${profile.firstName}${profile.lastName}`,
+    ]);
+
+    try {
+      const user = await User.create({
+        clerkId: profile.clerkId,
+        ...(profile.email && { emails: profile.email }),
+        firstName: profile.firstName || username,
+        lastName: profile.lastName,
+        username,
+        profilePicture: profile.imageUrl,
+      });
+      return { user, created: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // the webhook and /sync can race to create the same user
+      const raced = await User.findOne({ clerkId: profile.clerkId });
+      if (raced) return { user: raced, created: false };
+
+      // someone took the username in the meantime; pick another one
+      if (!error.keyPattern?.username || attempt >= USERNAME_ATTEMPTS)
+        throw error;
+    }
+  }
+};
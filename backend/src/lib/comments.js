@@ -0,0 +1,12 @@
+// shapes a comment for responses: like count and the viewer's own like
+// instead of the full likes array
+export const serializeComment = (comment, viewer) => {
+  const { likes = [], ...node } = comment.toObject();
+
+  node.likeCount = likes.length;
+  node.likedByMe = Boolean(viewer) && likes.some((id) => id.equals(viewer._id));
+
+  // don't reveal who wrote a deleted comment
+  if (node.isDeleted) node.user = null;
+  return node;
+};
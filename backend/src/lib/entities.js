@@ -0,0 +1,52 @@
+import User, { USERNAME_COLLATION } from "../models/user.model.js";
+import { notifyMany } from "./notifier.js";
+
+// a tag or mention has to start the text or follow a non-word character,
+// so emails and things like "a#b" are left alone
+const HASHTAG_REGEX = /(?:^|[^\w&#])#(\w{1,50})/g;
+const MENTION_REGEX = /(?:^|[^\w@])@(\w(?:[\w.]{0,28}\w)?)/g;
+
+const unique = (values) => [...new Set(values)];
+
+export const normalizeHashtag = (tag = "") =>
+  tag.replace(/^#/, "").toLowerCase();
+
+export const extractHashtags = (text = "") =>
+  unique([...text.matchAll(HASHTAG_REGEX)].map(([, tag]) => tag.toLowerCase()));
+
+export const extractMentions = (text = "") =>
+  unique([...text.matchAll(MENTION_REGEX)].map(([, username]) => username));
+
+// parses #hashtags and @mentions, resolving mentions to existing users
+export const parseEntities = async (text = "") => {
+  const usernames = extractMentions(text);
+  const mentioned = usernames.length
+    ? await User.find({ username: { $in: usernames } })
+        .collation(USERNAME_COLLATION)
+        .select("_id")
+    : [];
+
+  return {
+    hashtags: extractHashtags(text),
+    mentions: mentioned.map((user) => user._id),
+  };
+};
+
+// sends a mention notification to every mentioned user except the author
+// and anyone in `skip` (e.g. someone already notified about the comment)
+export const notifyMentions = async ({
+  from,
+  mentions,
+  post,
+  comment = null,
+  skip = [],
+}) => {
+  const excluded = [from, ...skip].map((id) => id.toString());
+  const recipients = mentions.filter((id) => !excluded.includes(id.toString()));
+
+  if (recipients.length === 0) return;
+
+  await notifyMany(
+    recipients.map((to) => ({ from, to, type: "mention", post, comment }))
+  );
+};
@@ -0,0 +1,53 @@
+import Post from "../models/post.model.js";
+import { channels, publish } from "./pubsub.js";
+
+// live count updates for clients subscribed to a post
+export const emitPostCounts = async (postId) => {
+  try {
+    const post = await Post.findById(postId).select(
+      "user likeCount commentCount repostCount quoteCount"
+    );
+    if (!post) return;
+
+    await publish(channels.post(postId), {
+      type: "post.counts",
+      postId: post._id,
+      authorId: post.user,
+      likeCount: post.likeCount,
+      commentCount: post.commentCount,
+      repostCount: post.repostCount,
+      quoteCount: post.quoteCount,
+    });
+  } catch (error) {
+    console.error("Failed to publish post counts:", error);
+  }
+};
+
+// pushes the new text of an edited post to clients showing it
+export const emitPostEdited = async (post) => {
+  try {
+    await publish(channels.post(post._id), {
+      type: "post.edited",
+      postId: post._id,
+      authorId: post.user,
+      content: post.content,
+      hashtags: post.hashtags,
+      editedAt: post.editedAt,
+    });
+  } catch (error) {
+    console.error("Failed to publish post edit:", error);
+  }
+};
+
+// tells followers' home feeds that there is something new to fetch
+export const emitNewPost = async (post) => {
+  try {
+    await publish(channels.feed(post.user), {
+      type: "feed.new_post",
+      postId: post._id,
+      authorId: post.user,
+    });
+  } catch (error) {
+    console.error("Failed to publish new post:", error);
+  }
+};
@@ -0,0 +1,107 @@
+import Post from "../models/post.model.js";
+import User from "../models/user.model.js";
+import { PUBLISHED } from "./posts.js";
+
+export const USER_CARD_FIELDS =
+  "clerkId username firstName lastName profilePicture bio isPrivate";
+
+const SUGGESTION_POOL_SIZE = 100;
+const ACTIVITY_WINDOW_DAYS = 30;
+
+const idSet = (ids) => new Set(ids.map((id) => id.toString()));
+
+// adds the relationship flags the viewer sees on every user card
+export const toUserCards = (users, viewer) => {
+  const followers = idSet(viewer?.followers ?? []);
+  const following = idSet(viewer?.following ?? []);
+
+  return users.map((user) => ({
+    ...user.toObject(),
+    followsYou: followers.has(user._id.toString()),
+    isFollowedByMe: following.has(user._id.toString()),
+  }));
+};
+
+// who-to-follow for `viewer`: accounts followed by the people they follow,
+// ranked by how many of those follow them and how recently they posted.
+// active posters fill in when there aren't enough of those, e.g. for users
+// who don't follow anyone yet.
+export const getFollowSuggestions = async (viewer, visibility, limit) => {
+  const requested = await User.find({ followRequests: viewer._id }).distinct(
+    "_id"
+  );
+  const excluded = [viewer._id, ...viewer.following, ...requested];
+
+  const mutuals = await User.aggregate([
+    { $match: { _id: { $in: viewer.following } } },
+    { $unwind: "$following" },
+    { $match: { following: { $nin: excluded } } },
+    { $group: { _id: "$following", mutualCount: { $sum: 1 } } },
+    { $sort: { mutualCount: -1, _id: 1 } },
+    { $limit: SUGGESTION_POOL_SIZE },
+  ]);
+
+  const since = new Date(
+    Date.now() - ACTIVITY_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const activity = await Post.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since },
+        ...PUBLISHED,
+        ...(mutuals.length >= limit
+          ? { user: { $in: mutuals.map((entry) => entry._id) } }
+          : { user: { $nin: excluded } }),
+      },
+    },
+    {
+      $group: {
+        _id: "$user",
+        recentPostCount: { $sum: 1 },
+        lastPostAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { recentPostCount: -1 } },
+    { $limit: SUGGESTION_POOL_SIZE },
+  ]);
+
+  const candidates = new Map();
+  for (const { _id, mutualCount } of mutuals)
+    candidates.set(_id.toString(), { mutualCount, recentPostCount: 0 });
+
+  for (const { _id, recentPostCount, lastPostAt } of activity) {
+    const candidate = candidates.get(_id.toString()) ?? { mutualCount: 0 };
+    candidates.set(_id.toString(), {
+      ...candidate,
+      recentPostCount,
+      lastPostAt,
+    });
+  }
+
+  // mutual follows weigh most; activity breaks ties and ranks cold starts
+  const score = ({ mutualCount, recentPostCount }) =>
+    mutualCount * 10 + Math.min(recentPostCount, 10);
+
+  const ranked = [...candidates.entries()]
+    .filter(([id]) => visibility.canSee(id))
+    .sort(([, a], [, b]) => score(b) - score(a))
+    .slice(0, limit);
+
+  const users = await User.find({
+    _id: { $in: ranked.map(([id]) => id) },
+  }).select(USER_CARD_FIELDS);
+  const byId = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const cards = toUserCards(
+    ranked.map(([id]) => byId.get(id)).filter(Boolean),
+    viewer
+  );
+
+  return cards.map((card) => {
+    const { mutualCount, lastPostAt = null } = candidates.get(
+      card._id.toString()
+    );
+    return { ...card, mutualCount, lastPostAt };
+  });
+};
@@ -0,0 +1,86 @@
+import { getStorage } from "./storage/index.js";
+
+export const MAX_VIDEO_DURATION = 140; // seconds
+
+const POST_IMAGE_TRANSFORMATION = [
+  { width: 800, height: 600, crop: "limit" },
+  { quality: "auto" },
+  { format: "auto" },
+];
+
+// avatars are square, banners 3:1
+const PROFILE_IMAGE_TRANSFORMATIONS = {
+  profilePicture: [
+    { width: 400, height: 400, crop: "fill", gravity: "face" },
+    { quality: "auto" },
+    { format: "auto" },
+  ],
+  bannerImage: [
+    { width: 1500, height: 500, crop: "fill", gravity: "auto" },
+    { quality: "auto" },
+    { format: "auto" },
+  ],
+};
+
+export const getMediaKind = (file) =>
+  file.mimetype.startsWith("video/") ? "video" : "image";
+
+// uploads an in-memory multer image and returns { url, publicId }
+export const uploadImage = async (file, folder) => {
+  const { url, publicId } = await getStorage().upload(file, {
+    folder,
+    kind: "image",
+    transformation: POST_IMAGE_TRANSFORMATION,
+  });
+
+  return { url, publicId };
+};
+
+// uploads an image or video and returns it in the shape posts store
+export const uploadMediaItem = async (file, { folder, alt = "" }) => {
+  const type = getMediaKind(file);
+
+  const uploaded = await getStorage().upload(file, {
+    folder,
+    kind: type,
+    ...(type === "image" && { transformation: POST_IMAGE_TRANSFORMATION }),
+  });
+
+  return { type, alt, ...uploaded };
+};
+
+export const removeMediaItem = (item) =>
+  getStorage().remove(item.publicId, { kind: item.type });
+
+// posts from before `media` only kept the Cloudinary url of their image
+const LEGACY_POST_IMAGE = /\/(social_media_posts\/[^/.]+)\.\w+$/;
+
+// the stored uploads that belong to a post
+export const getPostMedia = (post) => {
+  if (post.media?.length) return post.media;
+
+  const publicId = post.image?.match(LEGACY_POST_IMAGE)?.[1];
+  return publicId ? [{ type: "image", publicId }] : [];
+};
+
+// messages from before imagePublicId only kept the Cloudinary url
+const LEGACY_MESSAGE_IMAGE = /\/(direct_messages\/[^/.]+)\.\w+$/;
+
+// the stored upload of a message's image, if it has one
+export const getMessageImageId = (message) =>
+  message.imagePublicId || message.image?.match(LEGACY_MESSAGE_IMAGE)?.[1];
+
+// uploads an avatar ("profilePicture") or banner ("bannerImage") cropped to
+// its aspect ratio and returns { url, publicId }
+export const uploadProfileImage = async (file, field) => {
+  const { url, publicId } = await getStorage().upload(file, {
+    folder: "profile_images",
+    kind: "image",
+    transformation: PROFILE_IMAGE_TRANSFORMATIONS[field],
+  });
+
+  return { url, publicId };
+};
+
+export const removeImage = (publicId) =>
+  getStorage().remove(publicId, { kind: "image" });
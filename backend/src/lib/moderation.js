@@ -0,0 +1,42 @@
+import AuditLog from "../models/auditLog.model.js";
+import Report from "../models/report.model.js";
+
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+// moderators can only act on accounts below their own role
+export const outranks = (actor, target) =>
+  ROLE_RANK[actor.role] > ROLE_RANK[target.role];
+
+export const recordAudit = ({
+  actor,
+  action,
+  targetType,
+  target,
+  report = null,
+  details = {},
+}) =>
+  AuditLog.create({
+    actor: actor._id,
+    action,
+    targetType,
+    target,
+    report,
+    details,
+  });
+
+// closes every pending report about `target` once it has been acted on
+export const resolveReports = async (target, moderator, note = "") => {
+  const { modifiedCount } = await Report.updateMany(
+    { target, status: { $in: ["open", "in_review"] } },
+    {
+      $set: {
+        status: "resolved",
+        resolvedBy: moderator._id,
+        resolvedAt: new Date(),
+        resolutionNote: note,
+      },
+    }
+  );
+
+  return modifiedCount;
+};
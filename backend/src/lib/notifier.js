@@ -0,0 +1,92 @@
+import { waitUntil } from "@vercel/functions";
+import Notification from "../models/notification.model.js";
+import { channels, publish } from "./pubsub.js";
+import { deliverPush } from "./push/index.js";
+
+// what notifications show of their post. poll tallies are left out, since
+// recipients other than the author may not be allowed to see them yet,
+// except on poll_closed: it goes to the author once the poll has ended.
+const POST_FIELDS =
+  "content image editedAt poll.options.text poll.endsAt poll.closed";
+const POLL_RESULT_POST_FIELDS = "content image editedAt poll";
+
+// populates `post` on notifications or notification groups
+export const populateNotificationPosts = (notifications) => {
+  const isResult = (notification) => notification.type === "poll_closed";
+
+  return Promise.all([
+    Notification.populate(
+      notifications.filter((notification) => !isResult(notification)),
+      { path: "post", select: POST_FIELDS }
+    ),
+    Notification.populate(notifications.filter(isResult), {
+      path: "post",
+      select: POLL_RESULT_POST_FIELDS,
+    }),
+  ]);
+};
+
+const publishNotification = async (notification) => {
+  await notification.populate([
+    { path: "from", select: "username firstName lastName profilePicture" },
+    { path: "comment", select: "content" },
+  ]);
+  await populateNotificationPosts([notification]);
+
+  await publish(channels.user(notification.to), {
+    type: "notification",
+    notification,
+  });
+};
+
+// every notification is created here so it is persisted, delivered live to
+// the recipient's event stream and pushed to their devices
+export const notify = async (data) => {
+  const notification = await Notification.create(data);
+
+  // the notification is saved either way, clients see it on their next fetch
+  try {
+    await publishNotification(notification);
+  } catch (error) {
+    console.error("Failed to publish notification:", error);
+  }
+
+  // pushes go out to Expo in the background, so the request that caused
+  // the notification doesn't wait on it. waitUntil keeps a Vercel function
+  // alive until they are sent; elsewhere the process simply outlives them.
+  waitUntil(
+    deliverPush(notification).catch((error) =>
+      console.error("Failed to push notification:", error)
+    )
+  );
+
+  return notification;
+};
+
+export const notifyMany = (list) => Promise.all(list.map(notify));
+
+// tells recipients' clients to drop notifications that were deleted
+export const publishRemovals = (notifications) =>
+  Promise.all(
+    notifications.map((notification) =>
+      publish(channels.user(notification.to), {
+        type: "notification.removed",
+        notificationId: notification._id,
+      }).catch((error) =>
+        console.error("Failed to publish notification removal:", error)
+      )
+    )
+  );
+
+// removes the notifications an action created once that action is undone,
+// e.g. an unlike or an unfollow, so no stale entries are left behind
+export const retract = async (filter) => {
+  const notifications = await Notification.find(filter).select("_id to");
+  if (notifications.length === 0) return;
+
+  await Notification.deleteMany({
+    _id: { $in: notifications.map((notification) => notification._id) },
+  });
+
+  await publishRemovals(notifications);
+};
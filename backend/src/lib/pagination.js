@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// cursors are opaque to clients: base64url of "<sort field in ms>:<_id>"
+export const encodeCursor = (doc, field = "createdAt") =>
+  Buffer.from(`${new Date(doc[field]).getTime()}:${doc._id}`).toString(
+    "base64url"
+  );
+
+export const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), "base64url")
+    .toString("utf8")
+    .split(":");
+  const date = new Date(Number(time));
+
+  if (!time || Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id))
+    return null;
+
+  return { date, id: new mongoose.Types.ObjectId(id) };
+};
+
+// reads ?limit=&cursor= from the query string, returns null for a bad cursor
+export const getPageParams = (query = {}) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  if (!query.cursor) return { limit, cursor: null };
+
+  const cursor = decodeCursor(query.cursor);
+  return cursor ? { limit, cursor } : null;
+};
+
+export const cursorFilter = (cursor, field = "createdAt") => ({
+  $or: [
+    { [field]: { $lt: cursor.date } },
+    { [field]: cursor.date, _id: { $lt: cursor.id } },
+  ],
+});
+
+// applies the cursor, newest-first sort and limit to a mongoose query.
+// one extra document is fetched to know whether another page exists.
+export const paginate = async (
+  query,
+  { limit, cursor },
+  field = "createdAt"
+) => {
+  if (cursor) query.and([cursorFilter(cursor, field)]);
+
+  const docs = await query.sort({ [field]: -1, _id: -1 }).limit(limit + 1);
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+  };
+};
+
+// relevance-ranked results have no stable sort key to seek on, so their
+// cursors carry a plain offset instead
+export const getOffsetPageParams = (query = {}) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  if (!query.cursor) return { limit, offset: 0 };
+
+  const [prefix, value] = Buffer.from(String(query.cursor), "base64url")
+    .toString("utf8")
+    .split(":");
+  const offset = parseInt(value, 10);
+
+  return prefix === "o" && offset >= 0 ? { limit, offset } : null;
+};
+
+// expects docs fetched with .skip(offset).limit(limit + 1)
+export const toOffsetPage = (docs, { limit, offset }) => {
+  const hasMore = docs.length > limit;
+
+  return {
+    items: hasMore ? docs.slice(0, limit) : docs,
+    nextCursor: hasMore
+      ? Buffer.from(`o:${offset + limit}`).toString("base64url")
+      : null,
+  };
+};
@@ -0,0 +1,120 @@
+import Post from "../models/post.model.js";
+import { notify } from "./notifier.js";
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 4;
+const MAX_OPTION_LENGTH = 25;
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+// polls closed per scheduler run
+const CLOSE_BATCH_SIZE = 100;
+
+// reads a poll from a request body, where multipart clients send it as a JSON
+// string: { options: ["a", "b"], durationMinutes }. returns { poll } or
+// { error }, with poll null when none was sent.
+export const parsePoll = (input) => {
+  if (input === undefined || input === null || input === "")
+    return { poll: null };
+
+  let poll = input;
+  if (typeof input === "string") {
+    try {
+      poll = JSON.parse(input);
+    } catch {
+      return { error: "Poll must be valid JSON" };
+    }
+  }
+
+  const { options, durationMinutes } = poll ?? {};
+
+  if (
+    !Array.isArray(options) ||
+    options.length < MIN_OPTIONS ||
+    options.length > MAX_OPTIONS
+  )
+    return {
+      error: `Polls need between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`,
+    };
+
+  const texts = options.map((option) =>
+    typeof option === "string" ? option.trim() : ""
+  );
+  if (texts.some((text) => !text || text.length > MAX_OPTION_LENGTH))
+    return {
+      error: `Poll options must be 1-${MAX_OPTION_LENGTH} characters long`,
+    };
+  if (new Set(texts.map((text) => text.toLowerCase())).size !== texts.length)
+    return { error: "Poll options must be different from each other" };
+
+  const duration = Number(durationMinutes);
+  if (
+    !Number.isInteger(duration) ||
+    duration < MIN_DURATION_MINUTES ||
+    duration > MAX_DURATION_MINUTES
+  )
+    return {
+      error: `Poll duration must be between ${MIN_DURATION_MINUTES} minutes and ${
+        MAX_DURATION_MINUTES / (24 * 60)
+      } days`,
+    };
+
+  return {
+    poll: {
+      options: texts.map((text) => ({ text, votes: 0 })),
+      durationMinutes: duration,
+    },
+  };
+};
+
+// when a poll ends if its post goes public at `from`
+export const getPollEnd = (poll, from = new Date()) =>
+  new Date(from.getTime() + poll.durationMinutes * 60 * 1000);
+
+// polls of unpublished posts have no end yet
+export const isPollEnded = (poll, now = new Date()) =>
+  poll.closed || (Boolean(poll.endsAt) && poll.endsAt <= now);
+
+// per-option tallies are only shown to the author, to viewers who voted
+// and to everyone once the poll has ended
+export const serializePoll = (poll, { vote = null, isAuthor = false } = {}) => {
+  const isEnded = isPollEnded(poll);
+  const showResults = isEnded || isAuthor || vote !== null;
+
+  return {
+    options: poll.options.map(({ text, votes }) => ({
+      text,
+      votes: showResults ? votes : null,
+    })),
+    totalVotes: poll.options.reduce((total, { votes }) => total + votes, 0),
+    durationMinutes: poll.durationMinutes,
+    endsAt: poll.endsAt,
+    isEnded,
+    myVote: vote,
+  };
+};
+
+// marks ended polls as closed and tells their authors. the closed flag is
+// claimed atomically, so each author is notified once even when several
+// instances run the scheduler.
+export const closeEndedPolls = async () => {
+  let closed = 0;
+
+  while (closed < CLOSE_BATCH_SIZE) {
+    const post = await Post.findOneAndUpdate(
+      { "poll.closed": false, "poll.endsAt": { $lte: new Date() } },
+      { $set: { "poll.closed": true } },
+      { new: true }
+    );
+    if (!post) break;
+
+    await notify({
+      from: post.user,
+      to: post.user,
+      type: "poll_closed",
+      post: post._id,
+    });
+    closed += 1;
+  }
+
+  return closed;
+};
@@ -0,0 +1,180 @@
+import Bookmark from "../models/bookmark.model.js";
+import Post from "../models/post.model.js";
+import PollVote from "../models/pollVote.model.js";
+import { notify } from "./notifier.js";
+import { getPollEnd, serializePoll } from "./polls.js";
+import { notifyMentions } from "./entities.js";
+import { emitNewPost, emitPostCounts } from "./events.js";
+
+const USER_FIELDS = "username firstName lastName profilePicture";
+const MAX_SCHEDULE_DAYS = 365;
+
+// drafts and scheduled posts are only visible to their author until published
+export const UNPUBLISHED_STATUSES = ["draft", "scheduled"];
+
+// matches published posts, including ones from before posts had a status
+export const PUBLISHED = { status: { $nin: UNPUBLISHED_STATUSES } };
+
+export const isPublished = (post) =>
+  !UNPUBLISHED_STATUSES.includes(post.status);
+
+export const findPublishedPost = (postId) =>
+  Post.findOne({ _id: postId, ...PUBLISHED });
+
+// populates the author plus the reposted or quoted post and its author
+export const populatePost = (query) =>
+  query.populate("user", USER_FIELDS).populate([
+    {
+      path: "originalPost",
+      populate: { path: "user", select: USER_FIELDS },
+    },
+    {
+      path: "quotedPost",
+      populate: { path: "user", select: USER_FIELDS },
+    },
+  ]);
+
+const idSet = (ids) => new Set(ids.map((id) => id.toString()));
+
+// shapes posts (and the posts they repost or quote) for responses: counts
+// instead of the raw likes/comments arrays, plus what the viewer did with
+// them. polls are replaced by what the viewer may see of them, including
+// their own vote.
+export const serializePosts = async (posts, viewer) => {
+  const objects = posts.map((post) => post.toObject());
+  const all = objects
+    .flatMap((post) => [post, post.originalPost, post.quotedPost])
+    .filter(Boolean);
+  const ids = all.map((post) => post._id);
+  const withPolls = all.filter((post) => post.poll);
+
+  const [liked, bookmarked, votes] = viewer
+    ? await Promise.all([
+        Post.find({ _id: { $in: ids }, likes: viewer._id }).distinct("_id"),
+        Bookmark.find({ user: viewer._id, post: { $in: ids } }).distinct(
+          "post"
+        ),
+        withPolls.length
+          ? PollVote.find({
+              user: viewer._id,
+              post: { $in: withPolls.map((post) => post._id) },
+            })
+          : [],
+      ])
+    : [[], [], []];
+
+  const likedIds = idSet(liked);
+  const bookmarkedIds = idSet(bookmarked);
+  const voteByPost = new Map(
+    votes.map((vote) => [vote.post.toString(), vote.option])
+  );
+
+  for (const post of all) {
+    // only there when a query asked for them
+    delete post.likes;
+    delete post.comments;
+
+    post.likedByMe = likedIds.has(post._id.toString());
+    post.bookmarkedByMe = bookmarkedIds.has(post._id.toString());
+
+    if (post.poll)
+      post.poll = serializePoll(post.poll, {
+        vote: voteByPost.get(post._id.toString()) ?? null,
+        isAuthor:
+          Boolean(viewer) && viewer._id.equals(post.user?._id ?? post.user),
+      });
+  }
+
+  return objects;
+};
+
+// reads `status` and `scheduledAt` from a request body. returns
+// { status, scheduledAt } or { error }.
+export const parsePostStatus = ({ status, scheduledAt } = {}) => {
+  if (scheduledAt !== undefined && scheduledAt !== null && scheduledAt !== "") {
+    if (status !== undefined && status !== "scheduled")
+      return { error: "Only scheduled posts can have a scheduledAt" };
+
+    const date = new Date(scheduledAt);
+    if (Number.isNaN(date.getTime()))
+      return { error: "scheduledAt must be a valid date" };
+    if (date <= new Date())
+      return { error: "scheduledAt must be in the future" };
+    if (date - Date.now() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000)
+      return {
+        error: `Posts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`,
+      };
+
+    return { status: "scheduled", scheduledAt: date };
+  }
+
+  if (status === undefined || status === "published")
+    return { status: "published", scheduledAt: null };
+  if (status === "draft") return { status: "draft", scheduledAt: null };
+  if (status === "scheduled")
+    return { error: "Scheduled posts need a scheduledAt" };
+
+  return { error: "Status must be published, draft or scheduled" };
+};
+
+// everything that happens once a post goes public: mention and quote
+// notifications, the quote counter and the new-post signal for feeds
+export const announcePost = async (post) => {
+  await notifyMentions({
+    from: post.user,
+    mentions: post.mentions,
+    post: post._id,
+  });
+
+  if (post.quoteOf) {
+    const quotedPost = await Post.findByIdAndUpdate(post.quoteOf, {
+      $inc: { quoteCount: 1 },
+    });
+
+    if (quotedPost) {
+      await emitPostCounts(quotedPost._id);
+
+      // create notification if not quoting own post
+      if (!quotedPost.user.equals(post.user)) {
+        await notify({
+          from: post.user,
+          to: quotedPost.user,
+          type: "quote",
+          post: post._id,
+        });
+      }
+    }
+  }
+
+  await emitNewPost(post);
+};
+
+// flips one unpublished post matching `filter` to published and announces
+// it. the status check is part of the update, so when several callers race
+// for the same post (e.g. scheduler instances) only one of them gets it.
+// createdAt is reset so the post sorts as new in every timeline.
+export const publishPost = async (filter) => {
+  let post = await Post.findOneAndUpdate(
+    { $and: [filter, { status: { $in: UNPUBLISHED_STATUSES } }] },
+    { $set: { status: "published", createdAt: new Date() } },
+    {
+      new: true,
+      sort: { scheduledAt: 1 },
+      timestamps: { createdAt: false },
+      overwriteImmutable: true,
+    }
+  );
+
+  if (!post) return null;
+
+  // polls run from the moment their post goes public
+  if (post.poll)
+    post = await Post.findByIdAndUpdate(
+      post._id,
+      { $set: { "poll.endsAt": getPollEnd(post.poll, post.createdAt) } },
+      { new: true }
+    );
+
+  await announcePost(post);
+  return post;
+};
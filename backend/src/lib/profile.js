@@ -0,0 +1,105 @@
+import { randomInt } from "node:crypto";
+import User, { USERNAME_COLLATION } from "../models/user.model.js";
+
+// usernames match what @mentions pick up: 3-30 word characters or dots,
+// starting and ending with a word character
+export const USERNAME_REGEX = /^\w[\w.]{1,28}\w$/;
+export const USERNAME_COOLDOWN_DAYS = 30;
+
+// room for a numeric suffix within the 30 characters
+const USERNAME_BASE_LENGTH = 25;
+const USERNAME_SUFFIX_ATTEMPTS = 10;
+
+const isText =
+  (maxLength, { required = false } = {}) =>
+  (value) => {
+    if (typeof value !== "string") return "must be text";
+
+    const trimmed = value.trim();
+    if (required && !trimmed) return "can't be empty";
+    if (trimmed.length > maxLength)
+      return `must be at most ${maxLength} characters`;
+    return null;
+  };
+
+// the only fields a user can change through PUT /profile
+const PROFILE_FIELDS = {
+  firstName: isText(50, { required: true }),
+  lastName: isText(50),
+  bio: isText(160),
+  location: isText(30),
+  username: (value) =>
+    typeof value === "string" && USERNAME_REGEX.test(value)
+      ? null
+      : "must be 3-30 letters, numbers, underscores or dots",
+  isPrivate: (value) =>
+    typeof value === "boolean" ? null : "must be true or false",
+};
+
+// returns { update } with trimmed values, or { error } for the first problem
+export const validateProfileUpdate = (body = {}) => {
+  const unknown = Object.keys(body).filter(
+    (key) => !Object.hasOwn(PROFILE_FIELDS, key)
+  );
+  if (unknown.length)
+    return { error: `These fields can't be changed: ${unknown.join(", ")}` };
+
+  const update = {};
+
+  for (const [field, value] of Object.entries(body)) {
+    const problem = PROFILE_FIELDS[field](value);
+    if (problem) return { error: `${field} ${problem}` };
+
+    update[field] = typeof value === "string" ? value.trim() : value;
+  }
+
+  return { update };
+};
+
+// when the user may pick a new username again, or null if they can now
+export const getNextUsernameChange = (user, now = new Date()) => {
+  if (!user.usernameChangedAt) return null;
+
+  const next = new Date(
+    user.usernameChangedAt.getTime() +
+      USERNAME_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+  );
+  return next > now ? next : null;
+};
+
+// turns a name or email local part into something USERNAME_REGEX accepts
+const toUsernameBase = (text) => {
+  const base = text
+    .toLowerCase()
+    .replace(/[^\w.]+/g, "")
+    .replace(/\.{2,}/g, ".")
+    .slice(0, USERNAME_BASE_LENGTH)
+    .replace(/^\.+|\.+$/g, "");
+
+  return base.length >= 3 ? base : `${base}user`;
+};
+
+export const isUsernameTaken = (username, exceptId = null) =>
+  User.exists({
+    username,
+    ...(exceptId && { _id: { $ne: exceptId } }),
+  }).collation(USERNAME_COLLATION);
+
+// the first free username out of `candidates` (e.g. the Clerk username, the
+// email local part), or the first one with a random number appended. the
+// unique index still has the final say when two signups race.
+export const generateUsername = async (candidates) => {
+  const bases = [...new Set(candidates.filter(Boolean).map(toUsernameBase))];
+  if (bases.length === 0) bases.push("user");
+
+  for (const base of bases) {
+    if (!(await isUsernameTaken(base))) return base;
+  }
+
+  for (let attempt = 0; attempt < USERNAME_SUFFIX_ATTEMPTS; attempt++) {
+    const candidate = `${bases[0]}${randomInt(100, 100000)}`;
+    if (!(await isUsernameTaken(candidate))) return candidate;
+  }
+
+  return `${bases[0]}${Date.now() % 100000}`;
+};
@@ -0,0 +1,87 @@
+import { EventEmitter } from "node:events";
+import LiveEvent from "../models/liveEvent.model.js";
+
+const RESUBSCRIBE_DELAY = 1000;
+
+// in-process pub/sub. it is all a single instance needs and doubles as the
+// stand-in for tests; deployments running several instances use
+// createMongoPubSub (PUBSUB_DRIVER=mongo) through setPubSub.
+export const createMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: async (channel, event) => {
+      emitter.emit(channel, event);
+    },
+    // returns a function that removes the subscription
+    subscribe: (channel, handler) => {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+};
+
+// shared through MongoDB, for deployments with more than one instance, e.g.
+// serverless functions, where the request that publishes and the one holding
+// an event stream run in different processes. events are inserted into a
+// collection and every instance tails it with one change stream, which needs
+// a replica set (Atlas always is one).
+export const createMongoPubSub = () => {
+  const local = createMemoryPubSub();
+  let stream = null;
+  let resumeAfter;
+
+  const watch = () => {
+    stream = LiveEvent.watch([{ $match: { operationType: "insert" } }], {
+      ...(resumeAfter && { resumeAfter }),
+    });
+
+    stream.on("change", (change) => {
+      resumeAfter = change._id;
+      const { channel, event } = change.fullDocument;
+      local.publish(channel, event);
+    });
+
+    // reopen where it left off, e.g. after a failover
+    stream.on("error", (error) => {
+      console.error("Live event stream failed:", error);
+      stream.close().catch(() => {});
+      setTimeout(watch, RESUBSCRIBE_DELAY).unref();
+    });
+  };
+
+  return {
+    publish: async (channel, event) => {
+      // plain JSON, like it will reach the clients
+      await LiveEvent.create({
+        channel,
+        event: JSON.parse(JSON.stringify(event)),
+      });
+    },
+    // the change stream opens with the first subscription, so instances that
+    // only publish never hold one
+    subscribe: (channel, handler) => {
+      if (!stream) watch();
+      return local.subscribe(channel, handler);
+    },
+  };
+};
+
+let pubsub = createMemoryPubSub();
+
+export const setPubSub = (implementation) => {
+  pubsub = implementation;
+};
+
+export const publish = (channel, event) => pubsub.publish(channel, event);
+
+export const subscribe = (channel, handler) =>
+  pubsub.subscribe(channel, handler);
+
+// channel names shared by publishers and the event stream
+export const channels = {
+  user: (userId) => `user:${userId}`,
+  post: (postId) => `post:${postId}`,
+  feed: (authorId) => `feed:${authorId}`,
+};
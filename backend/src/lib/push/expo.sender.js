@@ -0,0 +1,52 @@
+const EXPO_API_URL = "https://exp.host/--/api/v2/push";
+const SEND_CHUNK_SIZE = 100;
+const RECEIPT_CHUNK_SIZE = 1000;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// push sender backed by Expo's push service
+export const createExpoPushSender = ({ accessToken } = {}) => {
+  const request = async (path, body) => {
+    const response = await fetch(`${EXPO_API_URL}/${path}`, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok)
+      throw new Error(`Expo push request failed with ${response.status}`);
+
+    const { data } = await response.json();
+    return data;
+  };
+
+  return {
+    // returns one ticket per message, in order
+    send: async (messages) => {
+      const tickets = [];
+      for (const messageChunk of chunk(messages, SEND_CHUNK_SIZE)) {
+        tickets.push(...(await request("send", messageChunk)));
+      }
+      return tickets;
+    },
+
+    // returns a map of ticket id -> receipt
+    getReceipts: async (ticketIds) => {
+      const receipts = {};
+      for (const idChunk of chunk(ticketIds, RECEIPT_CHUNK_SIZE)) {
+        Object.assign(receipts, await request("getReceipts", { ids: idChunk }));
+      }
+      return receipts;
+    },
+  };
+};
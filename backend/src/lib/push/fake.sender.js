@@ -0,0 +1,41 @@
+import { randomUUID } from "node:crypto";
+
+// in-memory push sender for development and tests. tokens listed in
+// `unregistered` fail the way Expo reports uninstalled apps: right away in
+// the ticket, or later in the receipt when `failInReceipt` is set.
+export const createFakePushSender = ({
+  unregistered = [],
+  failInReceipt = false,
+} = {}) => {
+  const sent = [];
+  const receipts = {};
+
+  const deviceNotRegistered = {
+    status: "error",
+    message: "The device is no longer registered",
+    details: { error: "DeviceNotRegistered" },
+  };
+
+  return {
+    sent,
+
+    send: async (messages) =>
+      messages.map((message) => {
+        sent.push(message);
+
+        if (unregistered.includes(message.to) && !failInReceipt)
+          return deviceNotRegistered;
+
+        const id = randomUUID();
+        receipts[id] = unregistered.includes(message.to)
+          ? deviceNotRegistered
+          : { status: "ok" };
+        return { status: "ok", id };
+      }),
+
+    getReceipts: async (ticketIds) =>
+      Object.fromEntries(
+        ticketIds.filter((id) => receipts[id]).map((id) => [id, receipts[id]])
+      ),
+  };
+};
@@ -0,0 +1,153 @@
+import { ENV } from "../../config/env.js";
+import User from "../../models/user.model.js";
+import PushTicket from "../../models/pushTicket.model.js";
+import { getVisibility } from "../visibility.js";
+import { createExpoPushSender } from "./expo.sender.js";
+
+// Expo suggests waiting a while before asking for receipts
+const RECEIPT_DELAY = 15 * 60 * 1000;
+const RECEIPT_BATCH_SIZE = 1000;
+
+// anything with send(messages) -> tickets and getReceipts(ids) -> receipts
+let sender = createExpoPushSender({ accessToken: ENV.EXPO_ACCESS_TOKEN });
+
+export const setPushSender = (implementation) => {
+  sender = implementation;
+};
+
+const MESSAGES = {
+  follow: (name) => `${name} followed you`,
+  like: (name, notification) =>
+    notification.comment
+      ? `${name} liked your comment`
+      : `${name} liked your post`,
+  comment: (name) => `${name} commented on your post`,
+  reply: (name) => `${name} replied to your comment`,
+  repost: (name) => `${name} reposted your post`,
+  quote: (name) => `${name} quoted your post`,
+  mention: (name) => `${name} mentioned you`,
+  follow_request: (name) => `${name} requested to follow you`,
+  follow_accept: (name) => `${name} accepted your follow request`,
+  // the post comes populated with the results for this type
+  poll_closed: (name, notification) => {
+    const options = notification.post?.poll?.options ?? [];
+    const winner = options.reduce(
+      (best, option) => (!best || option.votes > best.votes ? option : best),
+      null
+    );
+
+    return winner?.votes
+      ? `Your poll has ended. "${winner.text}" got the most votes`
+      : "Your poll has ended";
+  },
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+export const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return false;
+
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: quietHours.timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+
+  const current = toMinutes(`${part("hour")}:${part("minute")}`);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  // windows like 22:00-07:00 wrap around midnight
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+const removeTokens = (tokens) =>
+  User.updateMany(
+    { "pushTokens.token": { $in: tokens } },
+    { $pull: { pushTokens: { token: { $in: tokens } } } }
+  );
+
+const isDeviceNotRegistered = (result) =>
+  result?.status === "error" && result.details?.error === "DeviceNotRegistered";
+
+// pushes a saved notification to every device of its recipient, unless they
+// turned that type off, it's within their quiet hours or it comes from an
+// account they muted or that is blocked either way
+export const deliverPush = async (notification) => {
+  const recipient = await User.findById(notification.to).select(
+    "pushTokens pushPreferences quietHours blocked muted following"
+  );
+  if (!recipient || recipient.pushTokens.length === 0) return;
+
+  if (recipient.pushPreferences.get(notification.type) === false) return;
+  if (isQuietTime(recipient.quietHours)) return;
+
+  const visibility = await getVisibility(recipient, {
+    includeMuted: true,
+    includePrivate: false,
+  });
+  if (!visibility.canSee(notification.from)) return;
+
+  const name = notification.from?.username
+    ? `@${notification.from.username}`
+    : "Someone";
+
+  const messages = recipient.pushTokens.map(({ token }) => ({
+    to: token,
+    sound: "default",
+    body: MESSAGES[notification.type](name, notification),
+    data: {
+      notificationId: notification._id.toString(),
+      type: notification.type,
+      postId: notification.post?._id?.toString() ?? null,
+    },
+  }));
+
+  const tickets = await sender.send(messages);
+
+  const staleTokens = [];
+  const pending = [];
+
+  tickets.forEach((ticket, index) => {
+    const token = messages[index].to;
+
+    if (isDeviceNotRegistered(ticket)) staleTokens.push(token);
+    else if (ticket.status === "ok" && ticket.id)
+      pending.push({ ticketId: ticket.id, user: recipient._id, token });
+  });
+
+  if (staleTokens.length) await removeTokens(staleTokens);
+  if (pending.length) await PushTicket.insertMany(pending);
+};
+
+// checks delivery receipts and prunes tokens of uninstalled apps
+export const processPushReceipts = async () => {
+  const tickets = await PushTicket.find({
+    createdAt: { $lte: new Date(Date.now() - RECEIPT_DELAY) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(RECEIPT_BATCH_SIZE);
+  if (tickets.length === 0) return;
+
+  const receipts = await sender.getReceipts(
+    tickets.map((ticket) => ticket.ticketId)
+  );
+
+  const staleTokens = tickets
+    .filter((ticket) => isDeviceNotRegistered(receipts[ticket.ticketId]))
+    .map((ticket) => ticket.token);
+
+  if (staleTokens.length) await removeTokens(staleTokens);
+
+  // receipts that aren't ready yet are retried on the next run
+  await PushTicket.deleteMany({
+    ticketId: { $in: Object.keys(receipts) },
+  });
+};
@@ -0,0 +1,148 @@
+import Bookmark from "../models/bookmark.model.js";
+import Comment from "../models/comment.model.js";
+import Message from "../models/message.model.js";
+import Notification from "../models/notification.model.js";
+import PollVote from "../models/pollVote.model.js";
+import Post from "../models/post.model.js";
+import { emitPostCounts } from "./events.js";
+import {
+  getMessageImageId,
+  getPostMedia,
+  removeImage,
+  removeMediaItem,
+} from "./media.js";
+import { publishRemovals } from "./notifier.js";
+import { isPublished } from "./posts.js";
+import { inTransaction } from "./transactions.js";
+
+// shared by authors deleting their own content, moderators removing it and
+// account deletion. everything that points at the removed content goes in
+// one transaction; storage and live updates follow once it has committed.
+
+const runCascade = async (cascade) => {
+  let effects;
+
+  await inTransaction(async () => {
+    // a retried transaction starts over
+    effects = { media: [], notifications: [], posts: new Set() };
+    await cascade(effects);
+  });
+
+  const results = await Promise.allSettled(effects.media.map(removeMediaItem));
+  for (const { status, reason } of results) {
+    if (status === "rejected")
+      console.error("Failed to delete media from storage:", reason);
+  }
+
+  await publishRemovals(effects.notifications);
+
+  for (const postId of effects.posts) await emitPostCounts(postId);
+};
+
+const deleteNotifications = async (filter, effects) => {
+  const notifications = await Notification.find(filter).select("_id to");
+  if (notifications.length === 0) return;
+
+  await Notification.deleteMany({
+    _id: { $in: notifications.map((notification) => notification._id) },
+  });
+  effects.notifications.push(...notifications);
+};
+
+// removes tombstones up the thread once their last reply is gone
+const releaseParent = async (parentId, effects) => {
+  if (!parentId) return;
+
+  const parent = await Comment.findByIdAndUpdate(
+    parentId,
+    { $inc: { replyCount: -1 } },
+    { new: true }
+  );
+  if (!parent || !parent.isDeleted || parent.replyCount > 0) return;
+
+  await Post.findByIdAndUpdate(parent.post, {
+    $pull: { comments: parent._id },
+    $inc: { commentCount: -1 },
+  });
+  await Comment.findByIdAndDelete(parent._id);
+  await deleteNotifications({ comment: parent._id }, effects);
+
+  await releaseParent(parent.parentComment, effects);
+};
+
+// deletes a post with its comments, votes, bookmarks, notifications (the
+// repost and quote ones included) and media. reposts and quotes of it stay
+// and render as unavailable, see originalUnavailable on the post model.
+export const removePost = (post) =>
+  runCascade(async (effects) => {
+    // keep the reshare counters on the original in step
+    if (post.repostOf) {
+      await Post.findByIdAndUpdate(post.repostOf, {
+        $inc: { repostCount: -1 },
+      });
+      effects.posts.add(post.repostOf);
+    }
+    // unpublished quotes were never counted
+    if (post.quoteOf && isPublished(post)) {
+      await Post.findByIdAndUpdate(post.quoteOf, {
+        $inc: { quoteCount: -1 },
+      });
+      effects.posts.add(post.quoteOf);
+    }
+
+    // notifications about the post's comments point at the post too
+    await deleteNotifications({ post: post._id }, effects);
+    await Comment.deleteMany({ post: post._id });
+    await Bookmark.deleteMany({ post: post._id });
+    await PollVote.deleteMany({ post: post._id });
+
+    await Post.findByIdAndDelete(post._id);
+
+    effects.media.push(...getPostMedia(post));
+  });
+
+// deletes a comment, or tombstones it while it still has replies so the
+// thread stays readable. its notifications go either way.
+export const removeComment = (comment) =>
+  runCascade(async (effects) => {
+    await deleteNotifications({ comment: comment._id }, effects);
+
+    if (comment.replyCount > 0) {
+      await Comment.findByIdAndUpdate(comment._id, {
+        content: "[deleted]",
+        isDeleted: true,
+        likes: [],
+      });
+      return;
+    }
+
+    // remove comment from post
+    await Post.findByIdAndUpdate(comment.post, {
+      $pull: { comments: comment._id },
+      $inc: { commentCount: -1 },
+    });
+
+    // delete the comment
+    await Comment.findByIdAndDelete(comment._id);
+
+    await releaseParent(comment.parentComment, effects);
+
+    effects.posts.add(comment.post);
+  });
+
+// deletes direct messages matching `filter` and the images sent with them
+export const removeMessages = async (filter) => {
+  const withImages = await Message.find({
+    ...filter,
+    image: { $ne: "" },
+  }).select("image imagePublicId");
+
+  await Message.deleteMany(filter);
+
+  const publicIds = withImages.map(getMessageImageId).filter(Boolean);
+  const results = await Promise.allSettled(publicIds.map(removeImage));
+  for (const { status, reason } of results) {
+    if (status === "rejected")
+      console.error("Failed to delete message image from storage:", reason);
+  }
+};
@@ -0,0 +1,61 @@
+import { deleteDueAccounts } from "./accounts.js";
+import { closeEndedPolls } from "./polls.js";
+import { publishPost } from "./posts.js";
+import { processPushReceipts } from "./push/index.js";
+
+const SCHEDULER_INTERVAL = 30 * 1000;
+// posts published per run, so a backlog can't hold up a single tick
+const PUBLISH_BATCH_SIZE = 100;
+
+// publishes scheduled posts that are due. every post is claimed atomically
+// by publishPost, so running this on several instances at once is safe.
+export const publishDuePosts = async () => {
+  let published = 0;
+
+  while (published < PUBLISH_BATCH_SIZE) {
+    const post = await publishPost({
+      status: "scheduled",
+      scheduledAt: { $lte: new Date() },
+    });
+    if (!post) break;
+    published += 1;
+  }
+
+  return published;
+};
+
+const jobs = [
+  ["publish scheduled posts", publishDuePosts],
+  ["close ended polls", closeEndedPolls],
+  ["delete accounts", deleteDueAccounts],
+  // only looks at tickets old enough to have receipts
+  ["check push receipts", processPushReceipts],
+];
+
+let running = false;
+
+// one pass over every job. long-running servers call this on a timer;
+// serverless deployments, which have no timers, through GET /api/cron.
+export const runScheduledJobs = async () => {
+  // a slow run shouldn't overlap the next tick
+  if (running) return;
+  running = true;
+
+  for (const [name, job] of jobs) {
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Scheduler failed to ${name}:`, error);
+    }
+  }
+
+  running = false;
+};
+
+export const startScheduler = () => {
+  const timer = setInterval(runScheduledJobs, SCHEDULER_INTERVAL);
+
+  // don't keep the process alive just for this
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,47 @@
+import cloudinary from "../../config/cloudinary.js";
+import { openUpload } from "./files.js";
+
+// Cloudinary backed storage, used in production
+export const createCloudinaryStorage = () => ({
+  upload: async (file, { folder, kind = "image", transformation }) => {
+    // streamed, so large videos aren't held in memory as base64
+    const uploadResponse = await new Promise((resolve, reject) => {
+      const upload = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          resource_type: kind,
+          ...(transformation && { transformation }),
+        },
+        (error, result) => (error ? reject(error) : resolve(result))
+      );
+
+      openUpload(file).on("error", reject).pipe(upload);
+    });
+
+    // a tiny blurred rendition (or poster frame for videos) to show while
+    // the real thing loads
+    const placeholder = cloudinary.url(uploadResponse.public_id, {
+      resource_type: kind,
+      secure: true,
+      format: "jpg",
+      transformation: [
+        { width: 32, crop: "scale" },
+        { effect: "blur:1000" },
+        { quality: 30 },
+      ],
+    });
+
+    return {
+      url: uploadResponse.secure_url,
+      publicId: uploadResponse.public_id,
+      width: uploadResponse.width ?? null,
+      height: uploadResponse.height ?? null,
+      duration: uploadResponse.duration ?? null,
+      placeholder,
+    };
+  },
+
+  remove: async (publicId, { kind = "image" } = {}) => {
+    await cloudinary.uploader.destroy(publicId, { resource_type: kind });
+  },
+});
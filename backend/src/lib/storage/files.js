@@ -0,0 +1,11 @@
+import { createReadStream } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { Readable } from "node:stream";
+
+// multer hands over small uploads in memory (`buffer`) and post media on
+// disk (`path`); drivers read both through these
+
+export const openUpload = (file) =>
+  file.path ? createReadStream(file.path) : Readable.from(file.buffer);
+
+export const readUpload = (file) => file.buffer ?? readFile(file.path);
@@ -0,0 +1,25 @@
+import path from "node:path";
+import { ENV } from "../../config/env.js";
+import { createCloudinaryStorage } from "./cloudinary.storage.js";
+import { createLocalStorage } from "./local.storage.js";
+
+export const LOCAL_UPLOAD_DIR = path.resolve(ENV.LOCAL_UPLOAD_DIR || "uploads");
+
+// STORAGE_DRIVER=local keeps uploads on disk instead of Cloudinary
+const createStorage = () =>
+  ENV.STORAGE_DRIVER === "local"
+    ? createLocalStorage({
+        directory: LOCAL_UPLOAD_DIR,
+        baseUrl: `${ENV.PUBLIC_URL || ""}/uploads`,
+      })
+    : createCloudinaryStorage();
+
+// anything with upload(file, { folder, kind, transformation }) and
+// remove(publicId, { kind })
+let storage = createStorage();
+
+export const getStorage = () => storage;
+
+export const setStorage = (implementation) => {
+  storage = implementation;
+};
@@ -0,0 +1,68 @@
+import { randomUUID } from "node:crypto";
+import { createWriteStream } from "node:fs";
+import { mkdir, rm } from "node:fs/promises";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { imageSize } from "image-size";
+import { openUpload, readUpload } from "./files.js";
+import { readVideoInfo } from "./mp4.js";
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/quicktime": ".mov",
+  "video/webm": ".webm",
+};
+
+const readImageSize = (buffer) => {
+  try {
+    return imageSize(buffer);
+  } catch {
+    return {};
+  }
+};
+
+// local-disk storage for development and tests. files are written under
+// `directory` and served from `baseUrl`; transformations are not applied.
+export const createLocalStorage = ({ directory, baseUrl }) => ({
+  upload: async (file, { folder, kind = "image" }) => {
+    const name = `${randomUUID()}${EXTENSIONS[file.mimetype] ?? ""}`;
+    const publicId = path.posix.join(folder, name);
+
+    const target = path.join(directory, publicId);
+    const url = `${baseUrl}/${publicId}`;
+
+    await mkdir(path.join(directory, folder), { recursive: true });
+    await pipeline(openUpload(file), createWriteStream(target));
+
+    const {
+      width = null,
+      height = null,
+      duration = null,
+    } = kind === "image"
+      ? readImageSize(await readUpload(file))
+      : await readVideoInfo(target);
+
+    return {
+      url,
+      publicId,
+      width,
+      height,
+      duration,
+      // nothing here to render a blurred copy or poster frame, so images
+      // stand in for themselves and videos go without
+      placeholder: kind === "image" ? url : "",
+    };
+  },
+
+  remove: async (publicId) => {
+    // never let an id reach outside the upload directory
+    const target = path.resolve(directory, publicId);
+    if (!target.startsWith(path.resolve(directory) + path.sep)) return;
+
+    await rm(target, { force: true });
+  },
+});
@@ -0,0 +1,92 @@
+import { open } from "node:fs/promises";
+
+// reads duration and dimensions from an mp4/mov header, for storage drivers
+// that can't ask a media service. webm and anything unreadable give nulls.
+
+const MAX_MOOV_SIZE = 8 * 1024 * 1024;
+
+// [type, start, end] of each box between `start` and `end` in `read`
+const boxes = async (read, start, end) => {
+  const found = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const header = await read(offset, 16);
+    if (header.length < 8) break;
+
+    let size = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1) {
+      if (header.length < 16) break;
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    found.push([
+      header.toString("latin1", 4, 8),
+      offset + headerSize,
+      offset + size,
+    ]);
+    offset += size;
+  }
+
+  return found;
+};
+
+const parseMovie = async (moov) => {
+  const read = async (offset, length) => moov.subarray(offset, offset + length);
+  const info = { width: null, height: null, duration: null };
+
+  for (const [type, start, end] of await boxes(read, 0, moov.length)) {
+    if (type === "mvhd") {
+      const box = moov.subarray(start, end);
+      const v1 = box[0] === 1;
+      const timescale = box.readUInt32BE(v1 ? 20 : 12);
+      const duration = v1
+        ? Number(box.readBigUInt64BE(24))
+        : box.readUInt32BE(16);
+      if (timescale) info.duration = duration / timescale;
+    }
+
+    if (type === "trak" && info.width === null) {
+      const [tkhd] = (await boxes(read, start, end)).filter(
+        ([child]) => child === "tkhd"
+      );
+      if (!tkhd) continue;
+
+      // 16.16 fixed point, zero for audio tracks
+      const box = moov.subarray(tkhd[1], tkhd[2]);
+      const at = box[0] === 1 ? 88 : 76;
+      const width = box.readUInt32BE(at) >>> 16;
+      const height = box.readUInt32BE(at + 4) >>> 16;
+      if (width && height) Object.assign(info, { width, height });
+    }
+  }
+
+  return info;
+};
+
+export const readVideoInfo = async (filePath) => {
+  const handle = await open(filePath);
+
+  try {
+    const { size } = await handle.stat();
+    const read = async (offset, length) => {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, offset);
+      return buffer.subarray(0, bytesRead);
+    };
+
+    const moov = (await boxes(read, 0, size)).find(([type]) => type === "moov");
+    if (!moov || moov[2] - moov[1] > MAX_MOOV_SIZE) return {};
+
+    return await parseMovie(await read(moov[1], moov[2] - moov[1]));
+  } catch {
+    return {};
+  } finally {
+    await handle.close();
+  }
+};
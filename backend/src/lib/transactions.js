@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+let support = null;
+
+// transactions need a replica set or a sharded cluster; a standalone
+// server (the usual local setup) rejects them
+const supportsTransactions = () => {
+  support ??= mongoose.connection.db
+    .admin()
+    .command({ hello: 1 })
+    .then(({ setName, msg }) => Boolean(setName) || msg === "isdbgrid")
+    .catch((error) => {
+      console.error("Failed to check for transaction support:", error);
+      support = null;
+      return false;
+    });
+
+  return support;
+};
+
+// runs `work` in a transaction when the deployment supports one, otherwise
+// as is. queries inside pick up the session on their own (see
+// transactionAsyncLocalStorage in config/db.js). `work` can run more than
+// once when the transaction is retried, so it must not have side effects
+// outside the database.
+export const inTransaction = async (work) => {
+  if (!(await supportsTransactions())) return work();
+
+  let result;
+  await mongoose.connection.transaction(async () => {
+    result = await work();
+  });
+  return result;
+};
@@ -0,0 +1,8 @@
+import { getAuth } from "@clerk/express";
+import User from "../models/user.model.js";
+
+// resolves the signed-in user on routes that also allow anonymous access
+export const getViewer = async (req) => {
+  const { userId } = getAuth(req);
+  return userId ? User.findOne({ clerkId: userId }) : null;
+};
@@ -0,0 +1,132 @@
+import Comment from "../models/comment.model.js";
+import Post from "../models/post.model.js";
+import User from "../models/user.model.js";
+
+// the one place that decides whose content a viewer may see or interact with
+
+// true if either user has blocked the other
+export const isBlockedBetween = async (user, otherId) =>
+  user.blocked.some((id) => id.equals(otherId)) ||
+  Boolean(await User.exists({ _id: otherId, blocked: user._id }));
+
+// private accounts only show their content to approved followers
+export const canViewProtected = (viewer, owner) =>
+  !owner.isPrivate ||
+  (Boolean(viewer) &&
+    (viewer._id.equals(owner._id) ||
+      owner.followers.some((id) => id.equals(viewer._id))));
+
+// a private account's posts and comments are only open to its approved
+// followers, for likes, replies, votes and reshares as much as for reading
+export const canReachContent = (user, content) => {
+  const authorId = content.user?._id ?? content.user;
+  return (
+    !content.authorIsPrivate ||
+    user._id.equals(authorId) ||
+    user.following.some((id) => id.equals(authorId))
+  );
+};
+
+// what anyone may see of an account, even a private one
+export const toPublicProfile = (user) => ({
+  _id: user._id,
+  clerkId: user.clerkId,
+  username: user.username,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  profilePicture: user.profilePicture,
+  bannerImage: user.bannerImage,
+  bio: user.bio,
+  isPrivate: user.isPrivate,
+  followerCount: user.followers.length,
+  followingCount: user.following.length,
+  createdAt: user.createdAt,
+});
+
+// what an account shows to viewers allowed to see it; settings such as push
+// tokens and the owner's relationship lists aren't part of it
+export const toProfile = (user) => ({
+  ...toPublicProfile(user),
+  location: user.location,
+  followers: user.followers,
+  following: user.following,
+  updatedAt: user.updatedAt,
+});
+
+// keeps authorIsPrivate on a user's posts and comments in step with them
+export const syncAuthorPrivacy = async (userId, isPrivate) => {
+  await Post.updateMany(
+    { user: userId, authorIsPrivate: { $ne: isPrivate } },
+    { authorIsPrivate: isPrivate }
+  );
+  await Comment.updateMany(
+    { user: userId, authorIsPrivate: { $ne: isPrivate } },
+    { authorIsPrivate: isPrivate }
+  );
+};
+
+// authors hidden from `viewer`: blocks in both directions, plus the viewer's
+// muted accounts when reading their own feed or notifications. content of
+// private accounts the viewer doesn't follow is hidden too, through the
+// authorIsPrivate flag posts and comments carry, so private accounts never
+// have to be looked up; includePrivate: false skips that for queries on
+// users or notifications.
+export const getVisibility = async (
+  viewer,
+  { includeMuted = false, includePrivate = true } = {}
+) => {
+  let hidden = [];
+
+  if (viewer) {
+    const blockedBy = await User.find({ blocked: viewer._id }).distinct("_id");
+    hidden = [...viewer.blocked, ...blockedBy];
+    if (includeMuted) hidden.push(...viewer.muted);
+  }
+
+  // whose private content the viewer may read
+  const approved = viewer ? [viewer._id, ...viewer.following] : [];
+
+  const listed = (ids, userId) =>
+    ids.some((id) => id.equals(userId?._id ?? userId));
+
+  const canSee = (userId) => !listed(hidden, userId);
+
+  // a post or comment, with its author populated or not
+  const canSeeContent = (content) =>
+    canSee(content.user) &&
+    (!includePrivate ||
+      !content.authorIsPrivate ||
+      listed(approved, content.user));
+
+  const privateFilter = (path) => ({
+    $or: [{ authorIsPrivate: { $ne: true } }, { [path]: { $in: approved } }],
+  });
+
+  return {
+    canSee,
+    canSeeContent,
+
+    // excludes hidden authors from a mongoose query on `path`
+    apply: (query, path = "user") => {
+      if (hidden.length) query.where(path).nin(hidden);
+      if (includePrivate) query.and([privateFilter(path)]);
+      return query;
+    },
+
+    // the same exclusion as a plain filter, e.g. for aggregation $match
+    filter: (path = "user") => ({
+      ...(hidden.length && { [path]: { $nin: hidden } }),
+      ...(includePrivate && privateFilter(path)),
+    }),
+
+    // reposts and quotes of hidden authors render like deleted originals
+    redact: (posts) => {
+      for (const post of posts) {
+        for (const path of ["originalPost", "quotedPost"]) {
+          if (post[path] && !canSeeContent(post[path])) post[path] = null;
+        }
+      }
+      return posts;
+    },
+  };
+};
@@ -1,6 +1,35 @@
+import User from "../models/user.model.js";
+
 export const protectRoute = async (req, res, next) => {
   if (!req.auth().isAuthenticated) {
     return res.status(401).json({ message: "Unauthorized!" });
   }
+
+  // suspended accounts are locked out until the suspension runs out
+  const user = await User.findOne({ clerkId: req.auth().userId }).select(
+    "suspendedUntil suspensionReason"
+  );
+  if (user?.suspendedUntil > new Date()) {
+    return res.status(403).json({
+      message: "Your account is suspended!",
+      suspendedUntil: user.suspendedUntil,
+      reason: user.suspensionReason,
+    });
+  }
+
   next();
 };
+
+// use after protectRoute, e.g. requireRole("moderator", "admin")
+export const requireRole =
+  (...roles) =>
+  async (req, res, next) => {
+    const user = await User.findOne({ clerkId: req.auth().userId }).select(
+      "role"
+    );
+    if (!user || !roles.includes(user.role)) {
+      return res.status(403).json({ message: "Forbidden!" });
+    }
+
+    next();
+  };
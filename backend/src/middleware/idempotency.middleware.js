@@ -0,0 +1,113 @@
+import { createHash } from "node:crypto";
+import IdempotencyKey from "../models/idempotencyKey.model.js";
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+const MAX_KEY_LENGTH = 255;
+// longer than any request should take, uploads included
+const LEASE_MS = 5 * 60 * 1000;
+
+// multipart bodies aren't parsed yet at this point, so uploads are told
+// apart by their length. the boundary changes between retries, the length
+// of the same form doesn't.
+const fingerprintOf = (req) => {
+  const body = req.is("multipart/form-data")
+    ? `multipart ${req.get("Content-Length") ?? ""}`
+    : JSON.stringify(req.body ?? {});
+
+  return createHash("sha256")
+    .update(`${req.method} ${req.originalUrl} ${body}`)
+    .digest("hex");
+};
+
+const leaseEnd = () => new Date(Date.now() + LEASE_MS);
+
+// makes retries of a mutating request safe: a request repeated with the same
+// Idempotency-Key header gets the stored response of the first one instead
+// of running again. requests without the header, or without a signed-in
+// user, pass straight through.
+export const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  const { userId } = req.auth();
+  if (!key || !userId || !MUTATING_METHODS.includes(req.method)) return next();
+
+  if (key.length > MAX_KEY_LENGTH)
+    return res.status(400).json({
+      error: `Idempotency-Key can be at most ${MAX_KEY_LENGTH} characters`,
+    });
+
+  const fingerprint = fingerprintOf(req);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      user: userId,
+      key,
+      fingerprint,
+      lockedUntil: leaseEnd(),
+    });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    const existing = await IdempotencyKey.findOne({ user: userId, key });
+    // expired between the insert and this read; let the client retry
+    if (!existing)
+      return res.status(409).json({ error: "Please retry this request" });
+
+    if (existing.fingerprint !== fingerprint)
+      return res.status(422).json({
+        error: "This Idempotency-Key was already used for a different request",
+      });
+
+    if (existing.status === "done") {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // the first request's process died mid-request; claimed atomically so
+    // only one retry runs it again. keys from before leases have none.
+    record = await IdempotencyKey.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: "pending",
+        lockedUntil: { $not: { $gte: new Date() } },
+      },
+      { $set: { lockedUntil: leaseEnd() } },
+      { new: true }
+    );
+    if (!record)
+      return res
+        .status(409)
+        .json({ error: "A request with this Idempotency-Key is in progress" });
+  }
+
+  const json = res.json.bind(res);
+  let body;
+  res.json = (value) => {
+    body = value;
+    return json(value);
+  };
+
+  // only answered requests are kept. server errors and dropped connections
+  // free the key so a retry runs the request again. a request that outlived
+  // its lease and was taken over leaves the key to the one that took it.
+  res.on("close", () => {
+    const completed =
+      res.writableFinished && body !== undefined && res.statusCode < 500;
+    const held = { _id: record._id, lockedUntil: record.lockedUntil };
+
+    const settle = completed
+      ? IdempotencyKey.updateOne(held, {
+          status: "done",
+          responseStatus: res.statusCode,
+          // as it went over the wire, not the documents it was built from
+          responseBody: JSON.parse(JSON.stringify(body)),
+        })
+      : IdempotencyKey.deleteOne(held);
+
+    settle.catch((error) =>
+      console.error("Failed to store idempotent response:", error)
+    );
+  });
+
+  next();
+};
@@ -1,5 +1,16 @@
+import { rm } from "node:fs/promises";
+import os from "node:os";
 import multer from "multer";
 
+const MB = 1024 * 1024;
+
+export const MEDIA_LIMITS = {
+  image: { maxSize: 5 * MB, maxCount: 4 },
+  video: { maxSize: 50 * MB, maxCount: 1 },
+};
+
+const VIDEO_TYPES = ["video/mp4", "video/quicktime", "video/webm"];
+
 const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
@@ -10,10 +21,68 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+const mediaFileFilter = (req, file, cb) => {
+  if (
+    file.mimetype.startsWith("image/") ||
+    VIDEO_TYPES.includes(file.mimetype)
+  ) {
+    cb(null, true);
+  } else {
+    cb(new Error("Only image and video files are allowed"), false);
+  }
+};
+
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  limits: { fileSize: 5 * MB }, // 5MB limit
+});
+
+// post media: images or a video. multer only knows one size limit, so it is
+// set to the largest and enforceMediaLimits checks each file by type. files
+// go to temp disk so a video isn't held in memory while it uploads.
+export const uploadMedia = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  fileFilter: mediaFileFilter,
+  limits: { fileSize: MEDIA_LIMITS.video.maxSize },
 });
 
+// up to four images or a single video per post, each within its size limit
+export const enforceMediaLimits = (req, res, next) => {
+  const files = Object.values(req.files || {}).flat();
+
+  // temp files go once the response is done, however the request ended
+  res.on("close", () => {
+    for (const file of files) rm(file.path, { force: true }).catch(() => {});
+  });
+
+  const videos = files.filter((file) => file.mimetype.startsWith("video/"));
+  const images = files.length - videos.length;
+
+  if (videos.length > 0 && images > 0)
+    return res
+      .status(400)
+      .json({ error: "A post can't mix images and a video" });
+
+  if (videos.length > MEDIA_LIMITS.video.maxCount)
+    return res.status(400).json({ error: "A post can only have one video" });
+
+  if (images > MEDIA_LIMITS.image.maxCount)
+    return res
+      .status(400)
+      .json({ error: "A post can have at most four images" });
+
+  for (const file of files) {
+    const type = file.mimetype.startsWith("video/") ? "video" : "image";
+    if (file.size > MEDIA_LIMITS[type].maxSize)
+      return res.status(400).json({
+        error: `${file.originalname} is larger than ${
+          MEDIA_LIMITS[type].maxSize / MB
+        }MB`,
+      });
+  }
+
+  next();
+};
+
 export default upload;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "report.triage",
+  "report.resolve",
+  "report.dismiss",
+  "post.remove",
+  "comment.remove",
+  "user.suspend",
+  "user.unsuspend",
+  "user.role",
+];
+
+// an append-only record of every moderator action
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["Post", "Comment", "User", "Report"],
+      required: true,
+    },
+    // kept as a plain id, removed content is gone by the time anyone looks
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      default: null,
+    },
+    // action specific details, e.g. the removed text or a suspension length
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
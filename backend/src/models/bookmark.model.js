@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// bookmarks are private to the user who saved them
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ post: 1 });
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+
+export default Bookmark;
@@ -7,16 +7,53 @@ const commentSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // copied from the author and updated when they change it, so reads can
+    // hide private accounts' content without looking those accounts up
+    authorIsPrivate: {
+      type: Boolean,
+      default: false,
+    },
     post: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Post",
       required: true,
     },
+    // null for top-level comments, otherwise the comment being replied to
+    parentComment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    // comments with replies are tombstoned on delete so the thread stays intact
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
     content: {
       type: String,
       required: true,
       maxLength: 280,
     },
+    // lowercased, without the leading "#"
+    hashtags: [
+      {
+        type: String,
+      },
+    ],
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     likes: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -27,6 +64,11 @@ const commentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+commentSchema.index({ post: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parentComment: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ hashtags: 1 });
+commentSchema.index({ mentions: 1 });
+
 const Comment = mongoose.model("Comment", commentSchema);
 
 export default Comment;
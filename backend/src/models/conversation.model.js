@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const conversationSchema = new mongoose.Schema(
+  {
+    participants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    isGroup: {
+      type: Boolean,
+      default: false,
+    },
+    name: {
+      type: String,
+      default: "",
+      maxLength: 50,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // sorted participant ids of a one-to-one conversation, so each pair
+    // only ever gets one
+    directKey: {
+      type: String,
+      default: undefined,
+    },
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // when each participant last read the conversation
+    readState: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        lastReadAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+conversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 });
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+export default Conversation;
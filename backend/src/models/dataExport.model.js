@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// a gzipped JSON archive of a user's data, downloadable by its token until
+// it expires
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    archive: {
+      type: Buffer,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+// mongo drops expired archives on its own
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
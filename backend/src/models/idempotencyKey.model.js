@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// the outcome of a request sent with an Idempotency-Key, replayed when the
+// same request is retried with the same key
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    // Clerk id of the user who sent it; keys are only unique per user
+    user: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    // method, path and body (its length for uploads), so a key can't be
+    // reused for another request
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    // "pending" until the first request has been answered
+    status: {
+      type: String,
+      enum: ["pending", "done"],
+      default: "pending",
+    },
+    // a pending key past this belongs to a request that died without
+    // settling it, and a retry may take it over
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// retries come within minutes, a day is plenty
+idempotencyKeySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 }
+);
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// a named group of accounts whose posts make up their own timeline
+const listSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 25,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxLength: 100,
+    },
+    // private lists are only visible to their owner
+    isPrivate: {
+      type: Boolean,
+      default: false,
+    },
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+listSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+listSchema.index({ members: 1 });
+
+const List = mongoose.model("List", listSchema);
+
+export default List;
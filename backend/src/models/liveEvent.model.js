@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// an event on its way to the event streams of every instance, see
+// createMongoPubSub. nothing reads these after delivery.
+const liveEventSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// change streams deliver them right away; the rest is just cleanup
+liveEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 });
+
+const LiveEvent = mongoose.model("LiveEvent", liveEventSchema);
+
+export default LiveEvent;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: {
+      type: String,
+      default: "",
+      maxLength: 1000,
+    },
+    image: {
+      type: String,
+      default: "",
+    },
+    // storage id of the image, so it can be removed with the message
+    imagePublicId: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+
+const Message = mongoose.model("Message", messageSchema);
+
+export default Message;
@@ -1,5 +1,18 @@
 import mongoose from "mongoose";
 
+export const NOTIFICATION_TYPES = [
+  "follow",
+  "like",
+  "comment",
+  "reply",
+  "repost",
+  "quote",
+  "mention",
+  "follow_request",
+  "follow_accept",
+  "poll_closed",
+];
+
 const notificationSchema = new mongoose.Schema(
   {
     from: {
@@ -15,7 +28,7 @@ const notificationSchema = new mongoose.Schema(
     type: {
       type: String,
       required: true,
-      enum: ["follow", "like", "comment"],
+      enum: NOTIFICATION_TYPES,
     },
     post: {
       type: mongoose.Schema.Types.ObjectId,
@@ -27,10 +40,17 @@ const notificationSchema = new mongoose.Schema(
       ref: "Comment",
       default: null,
     },
+    read: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
 
+notificationSchema.index({ to: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ to: 1, read: 1 });
+
 const Notification = mongoose.model("Notification", notificationSchema);
 
 export default Notification;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// who voted for what; the tallies themselves live on the post's poll
+const pollVoteSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // index into the poll's options
+    option: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// one vote per user and poll
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ user: 1 });
+
+const PollVote = mongoose.model("PollVote", pollVoteSchema);
+
+export default PollVote;
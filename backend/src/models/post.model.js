@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 
+export const MAX_CONTENT_LENGTH = 280;
+
 const postSchema = new mongoose.Schema(
   {
     user: {
@@ -7,28 +9,231 @@ const postSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // copied from the author and updated when they change it, so reads can
+    // hide private accounts' content without looking those accounts up
+    authorIsPrivate: {
+      type: Boolean,
+      default: false,
+    },
     content: {
       type: String,
-      maxLength: 280,
+      maxLength: MAX_CONTENT_LENGTH,
+    },
+    // set on pure reposts, which carry no content of their own
+    repostOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
     },
+    // set on quote posts, which embed the referenced post under their content
+    quoteOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    // first image of the post, kept for clients that predate `media`
     image: {
       type: String,
       default: "",
     },
-    likes: [
+    // up to four images or a single video
+    media: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
+        _id: false,
+        type: {
+          type: String,
+          enum: ["image", "video"],
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+        // storage id, used to delete the asset
+        publicId: {
+          type: String,
+          default: "",
+        },
+        width: {
+          type: Number,
+          default: null,
+        },
+        height: {
+          type: Number,
+          default: null,
+        },
+        // low-res preview url shown while the media loads
+        placeholder: {
+          type: String,
+          default: "",
+        },
+        alt: {
+          type: String,
+          default: "",
+          maxLength: 1000,
+        },
+        // seconds, videos only
+        duration: {
+          type: Number,
+          default: null,
+        },
       },
     ],
-    comments: [
+    // optional poll. the tallies live here, who voted for what in PollVote
+    poll: {
+      type: new mongoose.Schema(
+        {
+          options: [
+            {
+              _id: false,
+              text: { type: String, required: true, maxLength: 25 },
+              votes: { type: Number, default: 0 },
+            },
+          ],
+          durationMinutes: { type: Number, required: true },
+          // set once the post is published
+          endsAt: { type: Date, default: null },
+          // set by the scheduler once the author was told about the results
+          closed: { type: Boolean, default: false },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // lowercased, without the leading "#"
+    hashtags: [
+      {
+        type: String,
+      },
+    ],
+    mentions: [
       {
         type: mongoose.Schema.Types.ObjectId,
-        ref: "Comment",
+        ref: "User",
       },
     ],
+    // unbounded, so they're left out of queries unless asked for; responses
+    // carry likeCount/commentCount and the viewer's likedByMe instead
+    likes: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      select: false,
+    },
+    comments: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Comment",
+        },
+      ],
+      select: false,
+    },
+    // drafts and scheduled posts are only visible to their author. once
+    // published, createdAt is moved to the time of publishing.
+    status: {
+      type: String,
+      enum: ["published", "draft", "scheduled"],
+      default: "published",
+    },
+    // when a scheduled post goes out
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    // set when the author last edited the content
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // earlier versions, oldest first, each with when it was written.
+    // only loaded when asked for with select("+editHistory").
+    editHistory: {
+      type: [
+        {
+          _id: false,
+          content: { type: String, default: "" },
+          hashtags: [{ type: String }],
+          createdAt: { type: Date, required: true },
+        },
+      ],
+      select: false,
+    },
+    // kept in step with likes and comments by every update to them
+    likeCount: {
+      type: Number,
+      default: 0,
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
+    repostCount: {
+      type: Number,
+      default: 0,
+    },
+    quoteCount: {
+      type: Number,
+      default: 0,
+    },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// the embedded original post. populating these leaves repostOf/quoteOf
+// untouched, so reposts and quotes of a deleted post keep pointing at it
+// and render as unavailable.
+postSchema.virtual("originalPost", {
+  ref: "Post",
+  localField: "repostOf",
+  foreignField: "_id",
+  justOne: true,
+});
+
+postSchema.virtual("quotedPost", {
+  ref: "Post",
+  localField: "quoteOf",
+  foreignField: "_id",
+  justOne: true,
+});
+
+// true once populated if the reposted or quoted post has been deleted
+postSchema.virtual("originalUnavailable").get(function () {
+  return Boolean(
+    (this.repostOf && this.originalPost === null) ||
+      (this.quoteOf && this.quotedPost === null)
+  );
+});
+
+// cursor pagination sorts on createdAt with _id as the tie-breaker
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ user: 1, createdAt: -1, _id: -1 });
+// a user can only repost the same post once
+postSchema.index(
+  { user: 1, repostOf: 1 },
+  { unique: true, partialFilterExpression: { repostOf: { $type: "objectId" } } }
+);
+postSchema.index({ quoteOf: 1 });
+postSchema.index({ hashtags: 1, createdAt: -1, _id: -1 });
+postSchema.index({ mentions: 1 });
+postSchema.index({ content: "text" }, { name: "post_search" });
+// the scheduler looks for due posts, authors page through their drafts
+postSchema.index(
+  { scheduledAt: 1 },
+  { partialFilterExpression: { status: "scheduled" } }
+);
+postSchema.index({ user: 1, status: 1, createdAt: -1, _id: -1 });
+postSchema.index(
+  { "poll.endsAt": 1 },
+  { partialFilterExpression: { "poll.closed": false } }
 );
 
 const Post = mongoose.model("Post", postSchema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// an accepted push waiting for its delivery receipt from Expo
+const pushTicketSchema = new mongoose.Schema(
+  {
+    ticketId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Expo keeps receipts for a day, after that there's nothing left to check
+pushTicketSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PushTicket = mongoose.model("PushTicket", pushTicketSchema);
+
+export default PushTicket;
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate",
+  "violence",
+  "self_harm",
+  "sexual_content",
+  "misinformation",
+  "impersonation",
+  "other",
+];
+
+export const REPORT_STATUSES = ["open", "in_review", "resolved", "dismissed"];
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // the model of the reported document
+    targetType: {
+      type: String,
+      enum: ["Post", "Comment", "User"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    // author of reported content, or the reported user themselves
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      default: "",
+      maxLength: 500,
+    },
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: "open",
+    },
+    // the moderator who picked the report up
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolutionNote: {
+      type: String,
+      default: "",
+      maxLength: 500,
+    },
+  },
+  { timestamps: true }
+);
+
+// one pending report per reporter and target
+reportSchema.index(
+  { reporter: 1, target: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ["open", "in_review"] } },
+  }
+);
+reportSchema.index({ status: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ target: 1, status: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
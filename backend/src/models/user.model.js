@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// username lookups pass this so they match (and use) the unique index
+export const USERNAME_COLLATION = { locale: "en", strength: 2 };
+
 const userSchema = new mongoose.Schema(
   {
     clerkId: {
@@ -7,32 +10,48 @@ const userSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Clerk users can sign up without an email (e.g. by phone); unique
+    // among those that have one, see the index below
     emails: {
       type: String,
-      required: true,
-      unique: true,
     },
     firstName: {
       type: String,
       required: true,
     },
+    // not every Clerk account has one
     lastName: {
       type: String,
-      required: true,
+      default: "",
     },
+    // unique regardless of case, see the index below
     username: {
       type: String,
       required: true,
-      unique: true,
+    },
+    // last time the username was changed, for the change cooldown
+    usernameChangedAt: {
+      type: Date,
+      default: null,
     },
     profilePicture: {
       type: String,
       default: "",
     },
+    // storage ids of uploaded images, so replaced ones can be deleted.
+    // empty when the image wasn't uploaded here (e.g. the Clerk avatar)
+    profilePictureId: {
+      type: String,
+      default: "",
+    },
     bannerImage: {
       type: String,
       default: "",
     },
+    bannerImageId: {
+      type: String,
+      default: "",
+    },
     bio: {
       type: String,
       default: "",
@@ -41,6 +60,33 @@ const userSchema = new mongoose.Schema(
     location: {
       type: String,
       default: "",
+      maxLength: 30,
+    },
+    // moderators work the report queue, admins also manage roles
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
+    // suspended accounts can't use any protected route until this passes
+    suspendedUntil: {
+      type: Date,
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      default: "",
+    },
+    // set by DELETE /me; the account is purged once this passes unless the
+    // user cancels first
+    deletionScheduledAt: {
+      type: Date,
+      default: null,
+    },
+    // follows of private accounts wait for approval in followRequests
+    isPrivate: {
+      type: Boolean,
+      default: false,
     },
     followers: [
       {
@@ -54,12 +100,88 @@ const userSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // incoming follow requests waiting for approval
+    followRequests: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    blocked: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // muted accounts only drop out of this user's feed and notifications
+    muted: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Expo push tokens, one per device
+    pushTokens: [
+      {
+        _id: false,
+        token: { type: String, required: true },
+        deviceId: { type: String, required: true },
+        platform: { type: String, default: "" },
+        updatedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // notification type -> whether to push it; types not listed are pushed
+    pushPreferences: {
+      type: Map,
+      of: Boolean,
+      default: {},
+    },
+    // no pushes between start and end ("HH:MM") in the user's timezone
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00" },
+      end: { type: String, default: "07:00" },
+      timezone: { type: String, default: "UTC" },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// skips users without an email. named apart from the old emails_1, which
+// `npm run migrate:user-indexes` drops; until then signups without an
+// email still collide.
+userSchema.index(
+  { emails: 1 },
+  {
+    name: "emails_present",
+    unique: true,
+    partialFilterExpression: { emails: { $gt: "" } },
+  }
+);
+// "Alice" and "alice" would be impossible to tell apart in mentions. named
+// apart from the old case-sensitive username_1, dropped by the same script.
+userSchema.index(
+  { username: 1 },
+  { name: "username_ci", unique: true, collation: USERNAME_COLLATION }
+);
+userSchema.index({ blocked: 1 });
+userSchema.index({ "pushTokens.token": 1 });
+userSchema.index(
+  { deletionScheduledAt: 1 },
+  { partialFilterExpression: { deletionScheduledAt: { $type: "date" } } }
+);
+
+// full-text search, weighted towards names over bios
+userSchema.index(
+  { username: "text", firstName: "text", lastName: "text", bio: "text" },
+  {
+    name: "user_search",
+    weights: { username: 10, firstName: 5, lastName: 5, bio: 1 },
+  }
+);
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
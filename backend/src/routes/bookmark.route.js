@@ -0,0 +1,17 @@
+import express from "express";
+import {
+  addBookmark,
+  getBookmarks,
+  removeBookmark,
+} from "../controllers/bookmark.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.use(protectRoute);
+
+router.get("/", getBookmarks);
+router.post("/:postId", addBookmark);
+router.delete("/:postId", removeBookmark);
+
+export default router;
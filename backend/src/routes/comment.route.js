@@ -2,7 +2,10 @@ import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
 import {
   createComment,
+  createReply,
   getComments,
+  getReplies,
+  likeComment,
   deleteComment,
 } from "../controllers/comment.controller.js";
 
@@ -10,9 +13,12 @@ const router = express.Router();
 
 // public routes
 router.get("/post/:postId", getComments);
+router.get("/:commentId/replies", getReplies);
 
 // protected routes
 router.post("/post/:postId", protectRoute, createComment);
+router.post("/:commentId/replies", protectRoute, createReply);
+router.post("/:commentId/like", protectRoute, likeComment);
 router.delete("/:commentId", protectRoute, deleteComment);
 
 export default router;
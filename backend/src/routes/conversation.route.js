@@ -0,0 +1,24 @@
+import express from "express";
+import {
+  createConversation,
+  getConversations,
+  getMessages,
+  leaveConversation,
+  markConversationRead,
+  sendMessage,
+} from "../controllers/conversation.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import upload from "../middleware/upload.middleware.js";
+
+const router = express.Router();
+
+router.use(protectRoute);
+
+router.get("/", getConversations);
+router.post("/", createConversation);
+router.get("/:conversationId/messages", getMessages);
+router.post("/:conversationId/messages", upload.single("image"), sendMessage);
+router.post("/:conversationId/read", markConversationRead);
+router.post("/:conversationId/leave", leaveConversation);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from "express";
+import { runCron } from "../controllers/cron.controller.js";
+
+const router = express.Router();
+
+router.get("/", runCron);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { streamEvents } from "../controllers/event.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, streamEvents);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  addListMember,
+  createList,
+  deleteList,
+  getList,
+  getListMembers,
+  getListTimeline,
+  getMyLists,
+  removeListMember,
+  updateList,
+} from "../controllers/list.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, getMyLists);
+router.get("/:listId", getList);
+router.get("/:listId/members", getListMembers);
+router.get("/:listId/timeline", getListTimeline);
+
+router.post("/", protectRoute, createList);
+router.patch("/:listId", protectRoute, updateList);
+router.delete("/:listId", protectRoute, deleteList);
+router.post("/:listId/members/:targetUserId", protectRoute, addListMember);
+router.delete("/:listId/members/:targetUserId", protectRoute, removeListMember);
+
+export default router;
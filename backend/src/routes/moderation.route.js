@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  dismissReport,
+  getAuditLog,
+  getReports,
+  removeCommentAsModerator,
+  removePostAsModerator,
+  resolveReport,
+  setUserRole,
+  suspendUser,
+  triageReport,
+  unsuspendUser,
+} from "../controllers/moderation.controller.js";
+import { protectRoute, requireRole } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.use(protectRoute, requireRole("moderator", "admin"));
+
+router.get("/reports", getReports);
+router.post("/reports/:reportId/triage", triageReport);
+router.post("/reports/:reportId/resolve", resolveReport);
+router.post("/reports/:reportId/dismiss", dismissReport);
+
+router.delete("/posts/:postId", removePostAsModerator);
+router.delete("/comments/:commentId", removeCommentAsModerator);
+
+router.post("/users/:targetUserId/suspend", suspendUser);
+router.delete("/users/:targetUserId/suspend", unsuspendUser);
+
+router.put("/users/:targetUserId/role", requireRole("admin"), setUserRole);
+router.get("/audit-log", requireRole("admin"), getAuditLog);
+
+export default router;
@@ -2,12 +2,18 @@ import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
 import {
   getNotifications,
+  getGroupedNotifications,
+  getUnreadCount,
+  markNotificationsRead,
   deleteNotification,
 } from "../controllers/notification.controller.js";
 
 const router = express.Router();
 
 router.get("/", protectRoute, getNotifications);
+router.get("/grouped", protectRoute, getGroupedNotifications);
+router.get("/unread-count", protectRoute, getUnreadCount);
+router.post("/read", protectRoute, markNotificationsRead);
 router.delete("/:notificationId", protectRoute, deleteNotification);
 
 export default router;
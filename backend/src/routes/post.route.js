@@ -2,22 +2,57 @@ import express from "express";
 import {
   createPost,
   deletePost,
+  editPost,
+  getDrafts,
+  getFeed,
+  getHashtagPosts,
   getPost,
+  getPostHistory,
   getPosts,
   getUserPosts,
   likePost,
+  publishDraft,
+  repostPost,
+  schedulePost,
+  undoRepost,
+  unlikePost,
+  votePoll,
 } from "../controllers/post.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
-import upload from "../middleware/upload.middleware.js";
+import {
+  enforceMediaLimits,
+  uploadMedia,
+} from "../middleware/upload.middleware.js";
 
 const router = express.Router();
 
 router.get("/", getPosts);
-router.get("/:postId", getPost);
+router.get("/feed", protectRoute, getFeed);
+router.get("/hashtag/:tag", getHashtagPosts);
+router.get("/drafts", protectRoute, getDrafts);
+// before the /:postId routes, which would take "user" for a post id
 router.get("/user/:username", getUserPosts);
+router.get("/:postId", getPost);
+router.get("/:postId/history", getPostHistory);
 
-router.post("/", protectRoute, upload.single("image"), createPost);
-router.post("/:postId/like", protectRoute, likePost);
+router.post(
+  "/",
+  protectRoute,
+  uploadMedia.fields([
+    { name: "image", maxCount: 1 },
+    { name: "media", maxCount: 4 },
+  ]),
+  enforceMediaLimits,
+  createPost
+);
+router.post("/:postId/publish", protectRoute, publishDraft);
+router.put("/:postId/schedule", protectRoute, schedulePost);
+router.post("/:postId/vote", protectRoute, votePoll);
+router.put("/:postId/like", protectRoute, likePost);
+router.delete("/:postId/like", protectRoute, unlikePost);
+router.post("/:postId/repost", protectRoute, repostPost);
+router.delete("/:postId/repost", protectRoute, undoRepost);
+router.patch("/:postId", protectRoute, editPost);
 router.delete("/:postId", protectRoute, deletePost);
 
 export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { createReport } from "../controllers/report.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+router.post("/", protectRoute, createReport);
+
+export default router;
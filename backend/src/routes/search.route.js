@@ -0,0 +1,14 @@
+import express from "express";
+import {
+  getTrendingHashtags,
+  search,
+  typeahead,
+} from "../controllers/search.controller.js";
+
+const router = express.Router();
+
+router.get("/", search);
+router.get("/typeahead", typeahead);
+router.get("/trending", getTrendingHashtags);
+
+export default router;
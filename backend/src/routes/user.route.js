@@ -1,20 +1,96 @@
 import express from "express";
 import {
+  approveFollowRequest,
+  blockUser,
+  cancelAccountDeletion,
+  downloadDataExport,
   followUser,
+  getBlockedUsers,
   getCurrentUser,
+  getFollowRequests,
+  getFollowers,
+  getFollowing,
+  getMutedUsers,
+  getNotificationPreferences,
+  getSuggestions,
   getUserProfile,
+  muteUser,
+  registerPushToken,
+  rejectFollowRequest,
+  requestAccountDeletion,
+  requestDataExport,
   syncUser,
+  unblockUser,
+  unfollowUser,
+  unmuteUser,
+  unregisterPushToken,
+  updateNotificationPreferences,
   updateProfile,
+  uploadBannerImage,
+  uploadProfilePicture,
 } from "../controllers/user.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
+import upload from "../middleware/upload.middleware.js";
 
 const router = express.Router();
 
 router.get("/profile/:username", getUserProfile);
+router.get("/suggestions", protectRoute, getSuggestions);
+router.get("/:username/followers", getFollowers);
+router.get("/:username/following", getFollowing);
 
 router.post("/sync", protectRoute, syncUser);
 router.post("/me", protectRoute, getCurrentUser);
+router.delete("/me", protectRoute, requestAccountDeletion);
+router.post("/me/restore", protectRoute, cancelAccountDeletion);
+router.post("/me/export", protectRoute, requestDataExport);
+router.get("/exports/:token", downloadDataExport);
 router.put("/profile", protectRoute, updateProfile);
-router.post("/follow/:targetUserId", protectRoute, followUser);
+router.put(
+  "/profile/picture",
+  protectRoute,
+  upload.single("image"),
+  uploadProfilePicture
+);
+router.put(
+  "/profile/banner",
+  protectRoute,
+  upload.single("image"),
+  uploadBannerImage
+);
+router.put("/follow/:targetUserId", protectRoute, followUser);
+router.delete("/follow/:targetUserId", protectRoute, unfollowUser);
+
+router.get("/follow-requests", protectRoute, getFollowRequests);
+router.post(
+  "/follow-requests/:requesterId/approve",
+  protectRoute,
+  approveFollowRequest
+);
+router.post(
+  "/follow-requests/:requesterId/reject",
+  protectRoute,
+  rejectFollowRequest
+);
+
+router.get("/blocked", protectRoute, getBlockedUsers);
+router.post("/block/:targetUserId", protectRoute, blockUser);
+router.delete("/block/:targetUserId", protectRoute, unblockUser);
+router.get("/muted", protectRoute, getMutedUsers);
+router.post("/mute/:targetUserId", protectRoute, muteUser);
+router.delete("/mute/:targetUserId", protectRoute, unmuteUser);
+
+router.post("/push-tokens", protectRoute, registerPushToken);
+router.delete("/push-tokens/:deviceId", protectRoute, unregisterPushToken);
+router.get(
+  "/notification-preferences",
+  protectRoute,
+  getNotificationPreferences
+);
+router.put(
+  "/notification-preferences",
+  protectRoute,
+  updateNotificationPreferences
+);
 
 export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { handleClerkWebhook } from "../controllers/webhook.controller.js";
+
+const router = express.Router();
+
+// mounted before express.json() so the signature is checked on the raw body
+router.post(
+  "/clerk",
+  express.raw({ type: "application/json" }),
+  handleClerkWebhook
+);
+
+export default router;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+
+// copies each author's isPrivate onto their posts and comments as
+// authorIsPrivate, which reads use to hide private accounts' content.
+// run with `npm run migrate:privacy`; safe to run more than once.
+
+const run = async () => {
+  await connectDB();
+
+  const users = mongoose.connection.collection("users");
+  const privateIds = await users.distinct("_id", { isPrivate: true });
+
+  for (const name of ["posts", "comments"]) {
+    const collection = mongoose.connection.collection(name);
+
+    const madePrivate = await collection.updateMany(
+      { user: { $in: privateIds }, authorIsPrivate: { $ne: true } },
+      { $set: { authorIsPrivate: true } }
+    );
+    const madePublic = await collection.updateMany(
+      { user: { $nin: privateIds }, authorIsPrivate: { $ne: false } },
+      { $set: { authorIsPrivate: false } }
+    );
+
+    console.log(
+      `${name}: ${madePrivate.modifiedCount} marked private, ${madePublic.modifiedCount} marked public`
+    );
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Author privacy backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+
+// fills in likeCount and commentCount from the likes and comments arrays,
+// dropping duplicate likes left by the old read-then-push toggle on the way.
+// run with `npm run migrate:counters`; safe to run more than once.
+// repostCount and quoteCount are checked by `npm run repair:orphans`.
+
+const run = async () => {
+  await connectDB();
+
+  const posts = mongoose.connection.collection("posts");
+
+  const { matchedCount, modifiedCount } = await posts.updateMany({}, [
+    {
+      $set: {
+        likes: { $setUnion: [{ $ifNull: ["$likes", []] }, []] },
+        comments: { $ifNull: ["$comments", []] },
+      },
+    },
+    {
+      $set: {
+        likeCount: { $size: "$likes" },
+        commentCount: { $size: "$comments" },
+      },
+    },
+  ]);
+
+  console.log(`Checked ${matchedCount} posts, updated ${modifiedCount}`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Post counter backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+
+// rewrites followers/following so every edge is a User _id and exists on
+// both sides. older versions of followUser stored Clerk ids in them.
+// run with `npm run migrate:follows`; safe to run more than once.
+
+const FOLLOW_FIELDS = ["followers", "following"];
+
+const run = async () => {
+  await connectDB();
+
+  // the raw collection, so values that don't cast to ObjectIds are visible
+  const users = mongoose.connection.collection("users");
+
+  const all = await users
+    .find({}, { projection: { clerkId: 1, followers: 1, following: 1 } })
+    .toArray();
+
+  const byClerkId = new Map(all.map((user) => [user.clerkId, user._id]));
+  const existing = new Set(all.map((user) => user._id.toString()));
+
+  // a stored value is either an _id or a Clerk id; anything else is dropped
+  const resolve = (value) => {
+    if (value instanceof mongoose.Types.ObjectId)
+      return existing.has(value.toString()) ? value : null;
+    if (typeof value === "string") {
+      if (byClerkId.has(value)) return byClerkId.get(value);
+      if (mongoose.isValidObjectId(value) && existing.has(value))
+        return new mongoose.Types.ObjectId(value);
+    }
+    return null;
+  };
+
+  const edges = new Map(
+    all.map((user) => [
+      user._id.toString(),
+      { followers: new Set(), following: new Set() },
+    ])
+  );
+
+  for (const user of all) {
+    const self = user._id.toString();
+
+    for (const field of FOLLOW_FIELDS) {
+      for (const value of user[field] ?? []) {
+        const other = resolve(value)?.toString();
+        if (!other || other === self) continue;
+
+        // "A follows B" shows up as A.following and B.followers
+        const [follower, followed] =
+          field === "following" ? [self, other] : [other, self];
+        edges.get(follower).following.add(followed);
+        edges.get(followed).followers.add(follower);
+      }
+    }
+  }
+
+  const toIds = (set) => [...set].map((id) => new mongoose.Types.ObjectId(id));
+  const sameEdges = (stored = [], ids) =>
+    stored.length === ids.length &&
+    stored.every(
+      (value, index) =>
+        value instanceof mongoose.Types.ObjectId && value.equals(ids[index])
+    );
+
+  const updates = [];
+
+  for (const user of all) {
+    const { followers, following } = edges.get(user._id.toString());
+
+    // keep the original order where possible; new edges go at the end
+    const ordered = (field, set) => {
+      const kept = (user[field] ?? [])
+        .map((value) => resolve(value)?.toString())
+        .filter((id) => id && set.has(id));
+      return toIds(new Set([...kept, ...set]));
+    };
+
+    const nextFollowers = ordered("followers", followers);
+    const nextFollowing = ordered("following", following);
+
+    if (
+      sameEdges(user.followers, nextFollowers) &&
+      sameEdges(user.following, nextFollowing)
+    )
+      continue;
+
+    updates.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: {
+          $set: { followers: nextFollowers, following: nextFollowing },
+        },
+      },
+    });
+  }
+
+  if (updates.length) await users.bulkWrite(updates);
+
+  console.log(`Checked ${all.length} users, fixed ${updates.length}`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Follow edge migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import User from "../models/user.model.js";
+
+// replaces the unique indexes the old schema put on users: emails_1 counted
+// a missing email as a value, so a second user without one couldn't sign
+// up, and username_1 told "Alice" and "alice" apart. mongoose creates the
+// new emails_present and username_ci indexes but never drops old ones.
+// run with `npm run migrate:user-indexes`; safe to run more than once.
+
+const LEGACY_INDEXES = ["emails_1", "username_1"];
+
+const run = async () => {
+  await connectDB();
+
+  const existing = (await User.collection.indexes()).map(({ name }) => name);
+
+  for (const name of LEGACY_INDEXES) {
+    if (!existing.includes(name)) continue;
+    await User.collection.dropIndex(name);
+    console.log(`Dropped ${name}`);
+  }
+
+  // fails on usernames that only differ in case, which need renaming first
+  await User.createIndexes();
+  console.log("User indexes are up to date");
+};
+
+run()
+  .catch((error) => {
+    console.error("User index migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
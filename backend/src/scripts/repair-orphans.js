@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import Bookmark from "../models/bookmark.model.js";
+import Comment from "../models/comment.model.js";
+import Notification from "../models/notification.model.js";
+import PollVote from "../models/pollVote.model.js";
+import Post from "../models/post.model.js";
+import User from "../models/user.model.js";
+import { PUBLISHED } from "../lib/posts.js";
+
+// cleans up what deletes left behind before removal.js cascaded them:
+// notifications, comments, bookmarks and votes pointing at missing
+// documents, stale Post.comments entries and drifted reshare counters.
+// run with `npm run repair:orphans` (add `-- --dry-run` to only report);
+// safe to run more than once.
+
+const dryRun = process.argv.includes("--dry-run");
+
+// _ids of `Model` documents whose `field` points at a missing `Target`
+const findOrphans = async (Model, field, Target) => {
+  const docs = await Model.aggregate([
+    { $match: { [field]: { $ne: null } } },
+    {
+      $lookup: {
+        from: Target.collection.name,
+        localField: field,
+        foreignField: "_id",
+        as: "target",
+      },
+    },
+    { $match: { target: { $size: 0 } } },
+    { $project: { _id: 1 } },
+  ]);
+
+  return docs.map((doc) => doc._id);
+};
+
+const deleteOrphans = async (label, Model, references) => {
+  const ids = new Set();
+  for (const [field, Target] of references) {
+    for (const id of await findOrphans(Model, field, Target))
+      ids.add(id.toString());
+  }
+
+  if (ids.size && !dryRun) await Model.deleteMany({ _id: { $in: [...ids] } });
+  console.log(`${label}: ${ids.size} orphaned`);
+};
+
+const repairCommentLists = async () => {
+  const posts = await Post.aggregate([
+    { $unwind: "$comments" },
+    {
+      $lookup: {
+        from: Comment.collection.name,
+        localField: "comments",
+        foreignField: "_id",
+        as: "comment",
+      },
+    },
+    { $match: { comment: { $size: 0 } } },
+    { $group: { _id: "$_id", missing: { $push: "$comments" } } },
+  ]);
+
+  if (posts.length && !dryRun)
+    await Post.bulkWrite(
+      posts.map(({ _id, missing }) => ({
+        updateOne: {
+          filter: { _id },
+          update: {
+            $pullAll: { comments: missing },
+            $inc: { commentCount: -missing.length },
+          },
+        },
+      }))
+    );
+  console.log(`Post comment lists: ${posts.length} with missing comments`);
+};
+
+const countBy = async (field, match) => {
+  const counts = await Post.aggregate([
+    { $match: { [field]: { $ne: null }, ...match } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const repairReshareCounts = async () => {
+  const reposts = await countBy("repostOf", {});
+  // only published quotes are counted, see announcePost
+  const quotes = await countBy("quoteOf", PUBLISHED);
+
+  const posts = await Post.find({
+    $or: [
+      { _id: { $in: [...reposts.keys(), ...quotes.keys()] } },
+      { repostCount: { $gt: 0 } },
+      { quoteCount: { $gt: 0 } },
+    ],
+  }).select("repostCount quoteCount");
+
+  const updates = [];
+  for (const post of posts) {
+    const repostCount = reposts.get(post._id.toString()) ?? 0;
+    const quoteCount = quotes.get(post._id.toString()) ?? 0;
+    if (post.repostCount === repostCount && post.quoteCount === quoteCount)
+      continue;
+
+    updates.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: { repostCount, quoteCount } },
+      },
+    });
+  }
+
+  if (updates.length && !dryRun) await Post.bulkWrite(updates);
+  console.log(`Reshare counters: ${updates.length} out of step`);
+};
+
+const run = async () => {
+  await connectDB();
+
+  // comments first, so notifications about them are caught below. tombstones
+  // of deleted accounts keep their user, so only the post is checked.
+  await deleteOrphans("Comments", Comment, [["post", Post]]);
+  await deleteOrphans("Notifications", Notification, [
+    ["post", Post],
+    ["comment", Comment],
+    ["from", User],
+    ["to", User],
+  ]);
+  await deleteOrphans("Bookmarks", Bookmark, [
+    ["post", Post],
+    ["user", User],
+  ]);
+  await deleteOrphans("Poll votes", PollVote, [
+    ["post", Post],
+    ["user", User],
+  ]);
+
+  await repairCommentLists();
+  await repairReshareCounts();
+
+  if (dryRun) console.log("Dry run, nothing was changed");
+};
+
+run()
+  .catch((error) => {
+    console.error("Orphan repair failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,22 +7,57 @@ import userRoutes from "./routes/user.route.js";
 import postRoutes from "./routes/post.route.js";
 import commentRoutes from "./routes/comment.route.js";
 import notificationRoutes from "./routes/notification.route.js";
+import searchRoutes from "./routes/search.route.js";
+import conversationRoutes from "./routes/conversation.route.js";
+import eventRoutes from "./routes/event.route.js";
+import bookmarkRoutes from "./routes/bookmark.route.js";
+import listRoutes from "./routes/list.route.js";
+import reportRoutes from "./routes/report.route.js";
+import moderationRoutes from "./routes/moderation.route.js";
+import webhookRoutes from "./routes/webhook.route.js";
+import cronRoutes from "./routes/cron.route.js";
 import { arcjetMiddleware } from "./middleware/arcjet.middleware.js";
+import { idempotencyMiddleware } from "./middleware/idempotency.middleware.js";
+import { startScheduler } from "./lib/scheduler.js";
+import { LOCAL_UPLOAD_DIR } from "./lib/storage/index.js";
+import { createMongoPubSub, setPubSub } from "./lib/pubsub.js";
+
+// PUBSUB_DRIVER=mongo shares live events between instances; the default
+// in-process broker only reaches event streams held by the same process
+if (ENV.PUBSUB_DRIVER === "mongo") setPubSub(createMongoPubSub());
 
 const app = express();
 
 app.use(cors());
+
+// webhooks verify signatures over the raw body and carry no Clerk session
+app.use("/api/webhooks", webhookRoutes);
+// called by Vercel Cron with CRON_SECRET, not by users or through arcjet
+app.use("/api/cron", cronRoutes);
+
 app.use(express.json());
 
 app.use(clerkMiddleware());
 app.use(arcjetMiddleware);
+app.use(idempotencyMiddleware);
 
 app.get("/", (req, res) => res.send("Hello from server"));
 
+// files kept by the local-disk storage driver
+if (ENV.STORAGE_DRIVER === "local")
+  app.use("/uploads", express.static(LOCAL_UPLOAD_DIR));
+
 app.use("/api/users", userRoutes);
 app.use("/api/posts", postRoutes);
 app.use("/api/comments", commentRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/bookmarks", bookmarkRoutes);
+app.use("/api/lists", listRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/moderation", moderationRoutes);
 
 app.use((err, req, res, next) => {
   console.error("Unhandled error:", err);
@@ -33,7 +68,10 @@ const startServer = async () => {
   try {
     await connectDB();
 
+    // on vercel nothing stays up to run timers; the crons in vercel.json
+    // hit /api/cron instead
     if (ENV.NODE_ENV !== "production") {
+      startScheduler();
       app.listen(ENV.PORT, () =>
         console.log("Server is up and running on PORT:", ENV.PORT)
       );